@@ -4,18 +4,67 @@
  * + Persist interval next run via nextRunISO (survive reboot)
  * + Auto bootstrap accounts from disk on start
  * + LOGGING: file logs per account + endpoint /accounts/:accountId/logs + tampilkan di index.html
+ * + DELIVERY LEDGER: status kirim per target per run + /messages/:id/history + /deliveries
+ * + MEDIA: upload lampiran (gambar/dokumen/audio/video) + attachments per jadwal / per target
+ * + TEMPLATE: {name} {date} {time} {day} {counter} + field custom per target + spintax {a|b|c}
+ * + CONTACT LISTS: daftar kontak bernama per akun, dipakai di targets via @list:nama (expand saat kirim)
+ * + IMPORT: CSV / XLSX -> targets jadwal atau daftar kontak (mapping kolom + laporan baris invalid/duplikat)
+ * + REPEAT: repeatType "cron" (cronExpression custom) + weekly multi hari (weekdays)
+ * + BLACKOUT: kalender libur per akun (manual / import .ics) + blackoutPolicy per jadwal (skip/shift/send)
+ * + TIME ZONE: timeZone per akun (settings) + opsional per jadwal -> cron, window, interval, blackout
+ * + AUTH: login (session cookie) + API token (Bearer) + role admin / operator (akun di-assign) / viewer (read-only)
+ * + WEBHOOK: event WA / jadwal / kirim -> POST JSON bertanda tangan (HMAC) per akun + retry + log
+ * + AUTO REPLY: rule keyword (exact/contains/regex) per akun + filter chat / jam kerja + cooldown + priority
+ * + STOP ON REPLY per target: hanya target yang membalas yang berhenti (mode keyword / regex / any) + catatan siapa & kapan
+ * + PAUSE / RESUME per jadwal & per akun (persist; interval dihitung ulang saat resume, tanpa kejar backlog)
+ * + SEND NOW: kirim 1 run sekarang tanpa mengubah counter / sisa / next run + dry-run (tanpa WhatsApp)
+ * + UPCOMING: GET /upcoming?from=&to= -> run mendatang semua akun (cron, interval, window, until, count) + kalender UI
+ * + RATE LIMIT per akun: per menit/jam/hari, max chat baru/hari, warm-up nomor baru (default mati; lewat batas = task antrean ditunda, auto reply dilewati)
+ * + SEND QUEUE persist ke disk (sisa target + waktu kirim) -> lanjut setelah restart + API lihat / batalkan
+ * + MISFIRE policy per jadwal (skip / kirim 1x / kirim semua max N) untuk run yang terlewat saat server / WA down
+ * + STORAGE SQLite (data/wa.db) untuk jadwal + target, recent, delivery; migrasi otomatis dari JSON; STORAGE=json = mode lama (ekspor wa.db balik ke JSON)
+ * + LOG terstruktur (JSON lines) + rotasi harian / ukuran + retensi; GET /logs filter level, jadwal, target, waktu + paging
+ * + LIVE: GET /accounts/:accountId/live (SSE) -> QR, ready / disconnected, antrean, perubahan jadwal, log baru; UI tanpa polling + QR inline
+ * + METRICS: GET /metrics (Prometheus) -> ready, antrean, job, terkirim / gagal / menyerah, retry, stop on reply, disconnect, auth failure + histogram durasi kirim
+ * + BACKUP: GET /accounts/:accountId/export (bundle .jsonl.gz streaming, opsional session) + POST /accounts/import (id sama / baru, atomic) + backup harian semua akun (session hanya BACKUP_SESSION=1) + retensi
+ * + NUMBER CHECK: target dicek ke WhatsApp (getNumberId / anggota grup, cache, antrean lookup ber-rate limit + timeout) -> laporan di POST/PUT + UI; invalidTargetPolicy off / flag / skip sebelum run
+ * + COUNTRY CODE per akun (settings.countryCode / DEFAULT_COUNTRY_CODE) -> nomor E.164 (+, 00, trunk per negara), panjang invalid ditolak + preview normal di UI
  */
 
-process.env.TZ = process.env.TZ || "Asia/Jakarta"; // ganti ke "Asia/Jakarta" jika perlu
+process.env.TZ = process.env.TZ || "Asia/Jakarta"; // default zona; akun / jadwal bisa override (timeZone)
 
 const express = require("express");
 const fs = require("fs");
 const path = require("path");
 const schedule = require("node-schedule");
 const qrcode = require("qrcode");
-const { Client, LocalAuth } = require("whatsapp-web.js");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const { StringDecoder } = require("string_decoder");
+const XLSX = require("xlsx");
+const { Client, LocalAuth, MessageMedia } = require("whatsapp-web.js");
+const { DEFAULT_COUNTRY_CODE, isValidCountryCode, parsePhone, normalizeTarget } = require("./phone");
+const { DEFAULT_TZ, isValidTimeZone, isValidDateString, zonedParts, wallToDate, parseInZone, dayKey } = require("./tz");
+const { renderMessage } = require("./template");
+const { parseCsv, mapImportRows, importRowsToTargetsText } = require("./importer");
+const {
+  REPEAT_TYPES,
+  validateCronExpression,
+  normalizeWeekdays,
+  buildScheduleSpec,
+  intervalMsFromRepeat,
+  intervalMonthsCron,
+  nextIntervalRun,
+  scheduleOccurrences,
+} = require("./repeat");
+const { AUTOREPLY_REGEX_INPUT_MAX, unsafeRegexReason } = require("./safe-regex");
+const { blackoutOn, blackoutDecision } = require("./blackout");
 
 const app = express();
+// authorize() mencocokkan req.path apa adanya -> route juga harus case sensitive (/AUTH/USERS != /auth/users)
+app.set("case sensitive routing", true);
 app.use(express.json());
 app.use(express.static("public"));
 
@@ -24,24 +73,265 @@ const PORT = process.env.PORT || 3000;
 const DATA_DIR = path.join(__dirname, "data");
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
+// ---------- LIVE (SSE) ----------
+// GET /accounts/:accountId/live -> text/event-stream per akun
+// event: status | qr | queue | schedules | log (UI tidak perlu polling)
+const liveClients = {}; // accountId -> Set(res)
+const LIVE_HEARTBEAT_MS = 25_000;
+
+function hasLiveClients(accountId) {
+  return !!liveClients[accountId]?.size;
+}
+
+function livePush(accountId, event, data) {
+  if (!hasLiveClients(accountId)) return;
+  const chunk = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of liveClients[accountId]) {
+    try {
+      res.write(chunk);
+    } catch {}
+  }
+}
+
+// QR = bisa link device baru -> gambar hanya ke koneksi admin, lainnya cukup tahu perlu scan QR
+function liveQrData(res, qrDataUrl) {
+  return res.liveAdmin ? { qrDataUrl } : { qrDataUrl: "", needsQr: !!qrDataUrl };
+}
+
+function pushQr(accountId, qrDataUrl) {
+  if (!hasLiveClients(accountId)) return;
+  for (const res of liveClients[accountId]) {
+    try {
+      res.write(`event: qr\ndata: ${JSON.stringify(liveQrData(res, qrDataUrl))}\n\n`);
+    } catch {}
+  }
+}
+
+// proxy / load balancer biasanya memutus koneksi yang diam
+setInterval(() => {
+  for (const set of Object.values(liveClients)) {
+    for (const res of set) {
+      try {
+        res.write(": ping\n\n");
+      } catch {}
+    }
+  }
+}, LIVE_HEARTBEAT_MS).unref();
+
 // ---------- LOGGING ----------
+// logs/wa-<id>.jsonl: 1 baris JSON { ts, level, accountId, msg, extra, scheduleId, target }
+// rotasi: ganti hari / ukuran > LOG_MAX_BYTES -> wa-<id>.<YYYY-MM-DD>.<n>.jsonl, dihapus setelah LOG_RETENTION_DAYS
+// wa-<id>.log (format teks lama) tetap ikut dibaca API log sampai lewat retensi
 const LOG_DIR = path.join(__dirname, "logs");
 if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+const LOG_MAX_BYTES = Number(process.env.LOG_MAX_BYTES || 5 * 1024 * 1024);
+const LOG_RETENTION_DAYS = Number(process.env.LOG_RETENTION_DAYS || 14);
+const LOG_LEVELS = ["DEBUG", "INFO", "WARN", "ERROR"];
 
 function logFile(accountId) {
+  return path.join(LOG_DIR, `wa-${accountId}.jsonl`);
+}
+function legacyLogFile(accountId) {
   return path.join(LOG_DIR, `wa-${accountId}.log`);
 }
 function ts() {
   return new Date().toISOString();
 }
-function log(accountId, level, msg, extra) {
-  const line =
-    `[${ts()}] [${accountId}] [${level}] ${msg}` + (extra ? ` | ${extra}` : "");
-  console.log(line);
+
+// hari lokal server (process.env.TZ)
+function localDay(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// { day, size } file aktif per akun (hindari stat tiap baris)
+const logState = {};
+
+// rotated: [{ name, day, n }] terbaru dulu
+function rotatedLogFiles(accountId) {
+  const prefix = `wa-${accountId}.`;
+  const out = [];
+  try {
+    for (const f of fs.readdirSync(LOG_DIR)) {
+      if (!f.startsWith(prefix)) continue;
+      const m = f.slice(prefix.length).match(/^(\d{4}-\d{2}-\d{2})\.(\d+)\.jsonl$/);
+      if (m) out.push({ name: f, day: m[1], n: Number(m[2]) });
+    }
+  } catch {}
+  return out.sort((a, b) => b.day.localeCompare(a.day) || b.n - a.n);
+}
+
+function pruneLogs(accountId) {
+  const cutoff = Date.now() - LOG_RETENTION_DAYS * 24 * 3600 * 1000;
+  const old = rotatedLogFiles(accountId).map((f) => path.join(LOG_DIR, f.name));
+  for (const file of [...old, legacyLogFile(accountId)]) {
+    try {
+      if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+    } catch {}
+  }
+}
+
+function rotateLogIfNeeded(accountId, addBytes) {
+  const file = logFile(accountId);
+  let st = logState[accountId];
+  if (!st) {
+    try {
+      const s = fs.statSync(file);
+      st = { day: localDay(s.mtime), size: s.size };
+    } catch {
+      st = { day: localDay(), size: 0 };
+    }
+    logState[accountId] = st;
+  }
+
+  const today = localDay();
+  if (st.size > 0 && (st.day !== today || st.size + addBytes > LOG_MAX_BYTES)) {
+    const n = rotatedLogFiles(accountId).filter((f) => f.day === st.day).reduce((m, f) => Math.max(m, f.n), 0) + 1;
+    try {
+      fs.renameSync(file, path.join(LOG_DIR, `wa-${accountId}.${st.day}.${n}.jsonl`));
+    } catch {}
+    st.size = 0;
+    pruneLogs(accountId);
+  }
+  st.day = today;
+}
+
+// scheduleId / target diambil dari teks log yang sudah ada ("id=123", "628xx@c.us")
+function logContext(msg, extra) {
+  const text = `${msg} ${extra || ""}`;
+  const id = text.match(/\bid=(\d+)/);
+  const target = text.match(/\b(\d{6,}@c\.us|[\w-]+@g\.us)\b/);
+  return { scheduleId: id ? Number(id[1]) : undefined, target: target ? target[1] : undefined };
+}
+
+// ctx opsional { scheduleId, target } kalau tidak ada di teks (mis. log kirim)
+function log(accountId, level, msg, extra, ctx) {
+  const at = ts();
+  console.log(`[${at}] [${accountId}] [${level}] ${msg}` + (extra ? ` | ${extra}` : ""));
+  const found = logContext(msg, extra);
+  const rec = {
+    ts: at,
+    level,
+    accountId,
+    msg: String(msg),
+    extra: extra ? String(extra) : undefined,
+    scheduleId: ctx?.scheduleId ?? found.scheduleId,
+    target: ctx?.target ?? found.target,
+  };
+  livePush(accountId, "log", rec);
+  const line = JSON.stringify(rec) + "\n";
   try {
-    fs.appendFileSync(logFile(accountId), line + "\n", "utf8");
+    rotateLogIfNeeded(accountId, Buffer.byteLength(line));
+    fs.appendFileSync(logFile(accountId), line, "utf8");
+    logState[accountId].size += Buffer.byteLength(line);
   } catch {}
 }
+// baris lama "[ts] [acc] [LEVEL] msg | extra" -> record
+function parseLegacyLogLine(line) {
+  const m = line.match(/^\[(.+?)\] \[(.+?)\] \[(\w+)\] (.*?)(?: \| (.*))?$/);
+  if (!m) return null;
+  return { ts: m[1], accountId: m[2], level: m[3], msg: m[4], extra: m[5], ...logContext(m[4], m[5]) };
+}
+
+function parseLogLine(line, legacy) {
+  if (legacy) return parseLegacyLogLine(line);
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+// hari isi file aktif (= hari yang dipakai saat file itu di-rotate)
+function activeLogDay(accountId) {
+  if (logState[accountId]) return logState[accountId].day;
+  try {
+    return localDay(fs.statSync(logFile(accountId)).mtime);
+  } catch {
+    return localDay();
+  }
+}
+
+// semua file log akun, terbaru dulu: aktif, rotated, lalu .log lama
+// key = nama untuk cursor; file aktif memakai nama yang akan dia dapat saat di-rotate
+// (wa-<id>.<hari>.<n berikutnya>.jsonl) supaya cursor tetap menunjuk file yang sama setelah rotasi
+function logFilesNewestFirst(accountId) {
+  const out = [];
+  const rotated = rotatedLogFiles(accountId);
+  if (fs.existsSync(logFile(accountId))) {
+    const day = activeLogDay(accountId);
+    const n = rotated.filter((f) => f.day === day).reduce((m, f) => Math.max(m, f.n), 0) + 1;
+    out.push({ name: path.basename(logFile(accountId)), key: `wa-${accountId}.${day}.${n}.jsonl`, day });
+  }
+  for (const f of rotated) out.push({ name: f.name, key: f.name, day: f.day });
+  if (fs.existsSync(legacyLogFile(accountId))) {
+    const name = path.basename(legacyLogFile(accountId));
+    out.push({ name, key: name, day: "", legacy: true });
+  }
+  return out;
+}
+
+function logMatches(rec, f) {
+  if (f.levels && !f.levels.includes(String(rec.level).toUpperCase())) return false;
+  if (f.scheduleId != null && Number(rec.scheduleId) !== f.scheduleId) return false;
+  if (f.target && !String(rec.target || "").includes(f.target)) return false;
+  if (f.fromMs != null || f.toMs != null) {
+    const t = Date.parse(rec.ts);
+    if (f.fromMs != null && !(t >= f.fromMs)) return false;
+    if (f.toMs != null && !(t <= f.toMs)) return false;
+  }
+  if (f.q && !`${rec.msg} ${rec.extra || ""}`.toLowerCase().includes(f.q)) return false;
+  return true;
+}
+
+// cari dari terbaru ke terlama; cursor "<key file>:<index baris>" = lanjut ke baris sebelum index itu
+// (file hanya di-append lalu di-rename utuh saat rotasi, jadi index baris tetap valid)
+// return { items (terbaru dulu), nextCursor }
+function searchLogs(accountId, f, limit, cursor) {
+  const files = logFilesNewestFirst(accountId);
+  let startFile = 0;
+  let startLine = null;
+  if (cursor) {
+    const i = cursor.lastIndexOf(":");
+    const name = cursor.slice(0, i);
+    startFile = files.findIndex((x) => x.key === name);
+    if (startFile < 0) return { items: [], nextCursor: null };
+    startLine = Number(cursor.slice(i + 1));
+  }
+  const fromDay = f.fromMs != null ? localDay(new Date(f.fromMs)) : null;
+
+  const items = [];
+  for (let fi = startFile; fi < files.length; fi++) {
+    const file = files[fi];
+    // file rotated (terurut per hari) yang lebih tua dari "from" -> selesai
+    if (fromDay && file.day && file.day < fromDay) break;
+
+    let lines;
+    try {
+      lines = fs.readFileSync(path.join(LOG_DIR, file.name), "utf8").split("\n");
+    } catch {
+      continue;
+    }
+    let li = fi === startFile && startLine != null ? Math.min(startLine, lines.length) - 1 : lines.length - 1;
+    for (; li >= 0; li--) {
+      if (!lines[li]) continue;
+      const rec = parseLogLine(lines[li], file.legacy);
+      if (!rec || !logMatches(rec, f)) continue;
+      if (items.length >= limit) return { items, nextCursor: `${file.key}:${li + 1}` };
+      items.push(rec);
+    }
+  }
+  return { items, nextCursor: null };
+}
+
+function clearLogs(accountId) {
+  for (const f of logFilesNewestFirst(accountId)) {
+    try {
+      fs.unlinkSync(path.join(LOG_DIR, f.name));
+    } catch {}
+  }
+  delete logState[accountId];
+}
+
 function errToStr(e) {
   if (!e) return "";
   return e.stack || e.message || String(e);
@@ -71,9 +361,292 @@ function loadJsonArraySafe(filePath) {
   return arr;
 }
 
-function isValidDateString(s) {
-  const d = new Date(s);
-  return !isNaN(d.getTime());
+// ---------- STORAGE (jadwal + target, recent, delivery) ----------
+// STORAGE=sqlite (default, data/wa.db via better-sqlite3) | json (file per akun seperti dulu)
+// sqlite: simpan jadwal hanya baris yang berubah (bukan tulis ulang semua), delivery = insert 1 baris.
+// JSON lama dimigrasi otomatis 1x per akun lalu di-rename *.json.migrated (backup, tidak dipakai lagi).
+// Balik ke STORAGE=json: isi wa.db diekspor ke JSON saat boot (exportSqliteToJson)
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "wa.db");
+let STORAGE = String(process.env.STORAGE || "sqlite").toLowerCase() === "json" ? "json" : "sqlite";
+let db = null;
+
+if (STORAGE === "sqlite") {
+  try {
+    const Database = require("better-sqlite3");
+    db = new Database(SQLITE_FILE);
+    db.pragma("journal_mode = WAL");
+    db.pragma("synchronous = NORMAL");
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS accounts (id TEXT PRIMARY KEY, migrated_at TEXT);
+      CREATE TABLE IF NOT EXISTS schedules (
+        account_id TEXT NOT NULL, id INTEGER NOT NULL, position INTEGER NOT NULL, data TEXT NOT NULL,
+        PRIMARY KEY (account_id, id)
+      );
+      CREATE TABLE IF NOT EXISTS schedule_targets (
+        account_id TEXT NOT NULL, schedule_id INTEGER NOT NULL, position INTEGER NOT NULL,
+        target TEXT NOT NULL, message TEXT, data TEXT,
+        PRIMARY KEY (account_id, schedule_id, position)
+      );
+      CREATE TABLE IF NOT EXISTS deliveries (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT, account_id TEXT NOT NULL, schedule_id INTEGER,
+        run_iso TEXT, chat_id TEXT, status TEXT, at TEXT, data TEXT
+      );
+      CREATE INDEX IF NOT EXISTS deliveries_account ON deliveries (account_id, seq);
+      CREATE TABLE IF NOT EXISTS recent (account_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    `);
+  } catch (e) {
+    // data sudah pindah ke sqlite (wa.db ada / JSON sudah *.json.migrated): fallback = jadwal "hilang" -> stop
+    if (fs.existsSync(SQLITE_FILE) || hasMigratedJson()) {
+      console.log("[BOOT] SQLite data exists but cannot be opened:", e.message);
+      console.log("[BOOT] Fix better-sqlite3 (npm rebuild better-sqlite3) or set STORAGE=json to export wa.db back to JSON");
+      process.exit(1);
+    }
+    console.log("[BOOT] SQLite unavailable -> fallback STORAGE=json:", e.message);
+    STORAGE = "json";
+    db = null;
+  }
+}
+
+function hasMigratedJson() {
+  try {
+    return fs.readdirSync(DATA_DIR).some((f) => f.endsWith(".json.migrated"));
+  } catch {
+    return false;
+  }
+}
+
+function schedulesFile(accountId) {
+  return path.join(DATA_DIR, `scheduledMessages.${accountId}.json`);
+}
+
+// cache JSON per jadwal yang terakhir disimpan (sqlite: tulis hanya yang berubah)
+const savedScheduleCache = {};
+
+function splitSchedule(item) {
+  const { targets, ...rest } = item;
+  return { rest: JSON.stringify(rest), targets: JSON.stringify(targets || []) };
+}
+
+function storeLoadSchedules(accountId) {
+  if (!db) return loadJsonArraySafe(schedulesFile(accountId));
+
+  migrateAccountToSqlite(accountId);
+  const rows = db.prepare("SELECT id, data FROM schedules WHERE account_id = ? ORDER BY position").all(accountId);
+  const tRows = db
+    .prepare("SELECT schedule_id, target, message, data FROM schedule_targets WHERE account_id = ? ORDER BY schedule_id, position")
+    .all(accountId);
+  const targetsBy = new Map();
+  for (const t of tRows) {
+    if (!targetsBy.has(t.schedule_id)) targetsBy.set(t.schedule_id, []);
+    targetsBy.get(t.schedule_id).push({ target: t.target, message: t.message ?? "", ...(t.data ? JSON.parse(t.data) : {}) });
+  }
+
+  const cache = new Map();
+  const items = rows.map((r, i) => {
+    const item = { ...JSON.parse(r.data), targets: targetsBy.get(r.id) || [] };
+    cache.set(item.id, { ...splitSchedule(item), position: i });
+    return item;
+  });
+  savedScheduleCache[accountId] = cache;
+  return items;
+}
+
+function storeSaveSchedules(accountId, items) {
+  if (!db) return atomicWriteJson(schedulesFile(accountId), items);
+
+  const prev = savedScheduleCache[accountId] || new Map();
+  const next = new Map();
+  const upsert = db.prepare(
+    "INSERT INTO schedules (account_id, id, position, data) VALUES (?, ?, ?, ?) " +
+      "ON CONFLICT (account_id, id) DO UPDATE SET position = excluded.position, data = excluded.data"
+  );
+  const delTargets = db.prepare("DELETE FROM schedule_targets WHERE account_id = ? AND schedule_id = ?");
+  const insTarget = db.prepare(
+    "INSERT INTO schedule_targets (account_id, schedule_id, position, target, message, data) VALUES (?, ?, ?, ?, ?, ?)"
+  );
+  const delSchedule = db.prepare("DELETE FROM schedules WHERE account_id = ? AND id = ?");
+
+  db.transaction(() => {
+    db.prepare("INSERT OR IGNORE INTO accounts (id) VALUES (?)").run(accountId);
+    items.forEach((item, i) => {
+      const cur = { ...splitSchedule(item), position: i };
+      const old = prev.get(item.id);
+      if (!old || old.rest !== cur.rest || old.position !== i) upsert.run(accountId, item.id, i, cur.rest);
+      if (!old || old.targets !== cur.targets) {
+        delTargets.run(accountId, item.id);
+        (item.targets || []).forEach((t, pos) => {
+          const { target, message, ...extra } = t;
+          insTarget.run(accountId, item.id, pos, String(target), message ?? "", Object.keys(extra).length ? JSON.stringify(extra) : null);
+        });
+      }
+      next.set(item.id, cur);
+    });
+    for (const id of prev.keys()) {
+      if (next.has(id)) continue;
+      delSchedule.run(accountId, id);
+      delTargets.run(accountId, id);
+    }
+  })();
+  savedScheduleCache[accountId] = next;
+}
+
+function storeLoadDeliveries(accountId, limit) {
+  if (!db) return loadJsonArraySafe(deliveriesFile(accountId));
+  migrateAccountToSqlite(accountId);
+  return db
+    .prepare("SELECT data FROM (SELECT seq, data FROM deliveries WHERE account_id = ? ORDER BY seq DESC LIMIT ?) ORDER BY seq")
+    .all(accountId, limit)
+    .map((r) => JSON.parse(r.data));
+}
+
+// all = array lengkap di memori (dipakai mode json: tulis ulang file)
+// jumlah insert delivery per akun sejak boot (rowid dipakai bersama semua akun, tidak bisa jadi patokan)
+const deliveryInserts = {};
+
+function storeAppendDelivery(accountId, rec, all, limit) {
+  if (!db) return atomicWriteJson(deliveriesFile(accountId), all);
+  db
+    .prepare("INSERT INTO deliveries (account_id, schedule_id, run_iso, chat_id, status, at, data) VALUES (?, ?, ?, ?, ?, ?, ?)")
+    .run(accountId, rec.scheduleId ?? null, rec.runISO ?? null, rec.chatId ?? null, rec.status, rec.at, JSON.stringify(rec));
+  // pangkas sesekali (insert pertama sejak boot lalu tiap 100 insert akun ini), simpan limit terakhir per akun
+  const n = (deliveryInserts[accountId] = (deliveryInserts[accountId] || 0) + 1);
+  if (n % 100 === 1) {
+    db.prepare(
+      "DELETE FROM deliveries WHERE account_id = ? AND seq <= " +
+        "(SELECT seq FROM deliveries WHERE account_id = ? ORDER BY seq DESC LIMIT 1 OFFSET ?)"
+    ).run(accountId, accountId, limit);
+  }
+}
+
+function storeLoadRecent(accountId) {
+  if (!db) return readJsonSafe(recentFile(accountId), null);
+  migrateAccountToSqlite(accountId);
+  const row = db.prepare("SELECT data FROM recent WHERE account_id = ?").get(accountId);
+  return row ? JSON.parse(row.data) : null;
+}
+
+function storeSaveRecent(accountId, obj) {
+  if (!db) return atomicWriteJson(recentFile(accountId), obj);
+  db.prepare(
+    "INSERT INTO recent (account_id, data) VALUES (?, ?) ON CONFLICT (account_id) DO UPDATE SET data = excluded.data"
+  ).run(accountId, JSON.stringify(obj));
+}
+
+function storeAccountIds() {
+  if (!db) return [];
+  return db.prepare("SELECT id FROM accounts").all().map((r) => r.id);
+}
+
+function storeDeleteAccount(accountId) {
+  delete savedScheduleCache[accountId];
+  delete deliveryInserts[accountId];
+  if (db) {
+    db.transaction(() => {
+      for (const table of ["schedules", "schedule_targets", "deliveries", "recent"]) {
+        db.prepare(`DELETE FROM ${table} WHERE account_id = ?`).run(accountId);
+      }
+      db.prepare("DELETE FROM accounts WHERE id = ?").run(accountId);
+    })();
+  }
+  try { fs.unlinkSync(schedulesFile(accountId)); } catch {}
+  try { fs.unlinkSync(recentFile(accountId)); } catch {}
+  try { fs.unlinkSync(deliveriesFile(accountId)); } catch {}
+}
+
+// JSON -> sqlite, 1x per akun (ditandai accounts.migrated_at)
+function migrateAccountToSqlite(accountId) {
+  const row = db.prepare("SELECT migrated_at FROM accounts WHERE id = ?").get(accountId);
+  if (row?.migrated_at) return;
+
+  const files = [schedulesFile(accountId), deliveriesFile(accountId), recentFile(accountId)].filter((f) => fs.existsSync(f));
+  if (files.length === 0) return;
+  const schedules = loadJsonArraySafe(schedulesFile(accountId));
+  const deliveries = loadJsonArraySafe(deliveriesFile(accountId));
+  const recent = readJsonSafe(recentFile(accountId), null);
+
+  db.transaction(() => {
+    db.prepare(
+      "INSERT INTO accounts (id, migrated_at) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET migrated_at = excluded.migrated_at"
+    ).run(accountId, ts());
+    savedScheduleCache[accountId] = new Map();
+    storeSaveSchedules(accountId, schedules);
+    for (const d of deliveries.slice(-MAX_DELIVERIES)) storeAppendDelivery(accountId, d, null, MAX_DELIVERIES);
+    if (recent) storeSaveRecent(accountId, recent);
+  })();
+
+  for (const f of files) {
+    try { fs.renameSync(f, `${f}.migrated`); } catch {}
+  }
+  log(
+    accountId,
+    "INFO",
+    "Migrated JSON -> SQLite",
+    `schedules=${schedules.length} deliveries=${deliveries.length} recent=${recent ? "yes" : "no"}`
+  );
+}
+
+// migrasi semua akun yang masih punya file JSON (dipanggil saat boot)
+function migrateAllJsonToSqlite() {
+  if (!db) return;
+  const ids = new Set();
+  for (const f of fs.readdirSync(DATA_DIR)) {
+    const m = f.match(/^(?:scheduledMessages|deliveries|recent)\.(.+)\.json$/);
+    if (m) ids.add(m[1]);
+  }
+  for (const id of ids) {
+    try {
+      migrateAccountToSqlite(id);
+    } catch (e) {
+      log(id, "ERROR", "JSON -> SQLite migration failed", errToStr(e));
+    }
+  }
+}
+
+// STORAGE=json tapi wa.db masih ada (balik dari sqlite): tulis data DB ke file JSON per akun lalu
+// rename wa.db -> *.exported. Akun yang sudah punya file JSON dilewati (JSON = data terbaru).
+// STORAGE=sqlite berikutnya migrasi ulang dari JSON seperti biasa
+function exportSqliteToJson() {
+  if (db || !fs.existsSync(SQLITE_FILE)) return;
+  let src;
+  try {
+    const Database = require("better-sqlite3");
+    src = new Database(SQLITE_FILE, { fileMustExist: true });
+  } catch (e) {
+    console.log("[BOOT] STORAGE=json but", SQLITE_FILE, "cannot be opened for export:", e.message);
+    console.log("[BOOT] Install better-sqlite3 to export, or move wa.db away to start on the JSON files as they are");
+    process.exit(1);
+  }
+
+  const ids = src.prepare("SELECT id FROM accounts").all().map((r) => r.id);
+  let exported = 0;
+  db = src; // pakai fungsi store* yang sama untuk baca
+  try {
+    for (const id of ids) {
+      if (fs.existsSync(schedulesFile(id))) {
+        console.log(`[BOOT] Export wa.db: ${id} already has JSON -> keep JSON`);
+        continue;
+      }
+      const schedules = storeLoadSchedules(id);
+      const deliveries = storeLoadDeliveries(id, MAX_DELIVERIES);
+      const recent = storeLoadRecent(id);
+      atomicWriteJson(schedulesFile(id), schedules);
+      if (deliveries.length) atomicWriteJson(deliveriesFile(id), deliveries);
+      if (recent) atomicWriteJson(recentFile(id), recent);
+      exported++;
+      console.log(`[BOOT] Export wa.db -> JSON: ${id} schedules=${schedules.length} deliveries=${deliveries.length}`);
+    }
+  } finally {
+    db = null;
+    for (const id of Object.keys(savedScheduleCache)) delete savedScheduleCache[id];
+    src.close();
+  }
+
+  const dest = `${SQLITE_FILE}.exported`;
+  fs.renameSync(SQLITE_FILE, dest);
+  for (const ext of ["-wal", "-shm"]) {
+    try { fs.renameSync(SQLITE_FILE + ext, dest + ext); } catch {}
+  }
+  console.log(`[BOOT] Exported ${exported} account(s) from SQLite -> JSON, database kept as ${path.basename(dest)}`);
 }
 
 function pickChromePath() {
@@ -95,20 +668,6 @@ function removeDirSafe(dirPath) {
 }
 
 // ---------- WA helpers ----------
-function normalizeTarget(input) {
-  let p = String(input || "").trim();
-  p = p.replace(/[\s-]/g, "");
-
-  if (p.endsWith("@g.us")) return p;
-
-  if (p.startsWith("+62")) return p.slice(1);
-  if (p.startsWith("62")) return p;
-  if (p.startsWith("0")) return "62" + p.slice(1);
-  if (p.startsWith("+")) return p.slice(1);
-
-  return p;
-}
-
 function toChatId(target) {
   return target.endsWith("@g.us") ? target : `${target}@c.us`;
 }
@@ -126,27 +685,145 @@ function containsKeyword(text, keyword) {
   return t.includes(k);
 }
 
+// ---------- stop on reply (per target) ----------
+// mode: keyword (balasan mengandung kata), regex, any (balasan apa pun), off
+// yang dihentikan hanya target yang membalas; jadwal dihapus kalau target habis
+const STOP_ON_REPLY_MODES = new Set(["off", "keyword", "regex", "any"]);
+
+function stopOnReplyMode(item) {
+  if (item.stopOnReplyMode) return item.stopOnReplyMode;
+  return item.stopOnReplyKeyword ? "keyword" : "off"; // jadwal lama (hanya keyword)
+}
+
+// return { mode, keyword } atau { error } (dipakai POST/PUT)
+function normalizeStopOnReply(mode, keyword) {
+  const k = String(keyword || "").trim();
+  const m = mode === undefined || mode === null || mode === "" ? (k ? "keyword" : "off") : String(mode).toLowerCase();
+  if (!STOP_ON_REPLY_MODES.has(m)) return { error: "stopOnReplyMode must be off, keyword, regex or any" };
+  if ((m === "keyword" || m === "regex") && !k) return { error: `stopOnReplyKeyword required for mode ${m}` };
+  if (m === "regex") {
+    try {
+      new RegExp(k, "i");
+    } catch (e) {
+      return { error: `stopOnReplyKeyword regex invalid: ${e.message}` };
+    }
+    // dicek di tiap pesan masuk -> aturan ReDoS sama dengan auto reply
+    const unsafe = unsafeRegexReason(k);
+    if (unsafe) return { error: `stopOnReplyKeyword ${unsafe}` };
+  }
+  return { mode: m, keyword: m === "keyword" || m === "regex" ? k : undefined };
+}
+
+function replyStopsTarget(item, body) {
+  const mode = stopOnReplyMode(item);
+  if (mode === "any") return true;
+  if (mode === "keyword") return containsKeyword(body, item.stopOnReplyKeyword);
+  if (mode === "regex") {
+    // jadwal lama yang dibuat sebelum ada validasi ReDoS: jangan dijalankan
+    if (unsafeRegexReason(item.stopOnReplyKeyword)) return false;
+    try {
+      return new RegExp(item.stopOnReplyKeyword, "i").test(String(body || "").slice(0, AUTOREPLY_REGEX_INPUT_MAX));
+    } catch {
+      return false;
+    }
+  }
+  return false;
+}
+
+// buang target (chatId) dari targetsText; baris lain tidak disentuh
+// "a; b, name=X | pesan" -> "b, name=X | pesan" ; baris tanpa target tersisa dihapus
+function removeTargetFromText(targetsText, chatId, countryCode) {
+  const out = [];
+  for (const line of String(targetsText || "").split("\n")) {
+    const bar = line.indexOf("|");
+    const left = bar === -1 ? line : line.slice(0, bar);
+    const right = bar === -1 ? "" : line.slice(bar);
+    const tokens = left.split(/[;,]+/).map((s) => s.trim()).filter(Boolean);
+
+    const isHit = (tok) =>
+      !parseFieldToken(tok) && !listRefName(tok) && toChatId(normalizeTarget(tok, countryCode)) === chatId;
+    if (!tokens.some(isHit)) {
+      out.push(line);
+      continue;
+    }
+
+    const kept = tokens.filter((tok) => !isHit(tok));
+    if (!kept.some((tok) => !parseFieldToken(tok))) continue; // tinggal field -> baris dibuang
+    out.push(kept.join(", ") + (right ? ` ${right}` : ""));
+  }
+  return out.join("\n");
+}
+
 // ---------- parsing per-target message ----------
-function parseTargetsWithMessages(text, defaultMessage) {
+// lampiran per baris: "0812xxxx | Halo A [media:<mediaId>]"
+const MEDIA_TOKEN_RE = /\[media:([\w-]+)\]/g;
+
+function extractMediaTokens(text) {
+  const mediaIds = [];
+  const cleaned = String(text || "")
+    .replace(MEDIA_TOKEN_RE, (_, id) => {
+      mediaIds.push(id);
+      return "";
+    })
+    .trim();
+  return { text: cleaned, mediaIds };
+}
+
+// referensi daftar kontak: "@list:pelanggan | Halo {name}" -> disimpan apa adanya, expand saat kirim
+const LIST_TOKEN_RE = /^@list:([\w-]+)$/i;
+
+function listRefName(target) {
+  const m = String(target || "").trim().match(LIST_TOKEN_RE);
+  return m ? m[1].toLowerCase() : null;
+}
+
+// field custom per baris (di kiri "|"): "0812xxxx, name=Budi, kota=Bandung | Halo {name}"
+function parseFieldToken(token) {
+  const i = token.indexOf("=");
+  if (i <= 0) return null;
+  const key = token.slice(0, i).trim().toLowerCase();
+  if (!/^\w+$/.test(key)) return null;
+  return { key, value: token.slice(i + 1).trim() };
+}
+
+// allowEmptyMessage: true kalau jadwal punya attachments (pesan boleh kosong)
+// opts: { countryCode, errors } -> nomor invalid tidak dipakai, dicatat di errors: [{ line, input, error }]
+function parseTargetsWithMessages(text, defaultMessage, allowEmptyMessage = false, opts = {}) {
   const lines = String(text || "")
-    .split(/\n+/)
-    .map((s) => s.trim())
-    .filter(Boolean);
+    .split("\n")
+    .map((s, i) => ({ line: s.trim(), no: i + 1 }))
+    .filter((l) => l.line);
 
   const items = [];
-  for (const line of lines) {
+  for (const { line, no } of lines) {
     const parts = line.split("|");
     const left = (parts[0] || "").trim();
     const right = parts.slice(1).join("|").trim(); // allow '|' in message
     if (!left) continue;
 
-    const targets = left.split(/[;,]+/).map((s) => s.trim()).filter(Boolean);
+    const tokens = left.split(/[;,]+/).map((s) => s.trim()).filter(Boolean);
+    const fields = {};
+    const targets = [];
+    for (const tok of tokens) {
+      const f = parseFieldToken(tok);
+      if (f) fields[f.key] = f.value;
+      else targets.push(tok);
+    }
 
     for (const t of targets) {
-      const target = normalizeTarget(t);
-      const msg = right ? right : String(defaultMessage || "");
-      if (!msg) continue;
-      items.push({ target, message: msg });
+      const listName = listRefName(t);
+      const parsed = listName ? { target: `@list:${listName}` } : parsePhone(t, opts.countryCode);
+      if (parsed.error) {
+        opts.errors?.push({ line: no, input: t, error: parsed.error });
+        continue;
+      }
+      const target = parsed.target;
+      const { text: msg, mediaIds } = extractMediaTokens(right ? right : String(defaultMessage || ""));
+      if (!msg && mediaIds.length === 0 && !allowEmptyMessage) continue;
+      const it = { target, message: msg };
+      if (mediaIds.length > 0) it.attachments = Array.from(new Set(mediaIds));
+      if (Object.keys(fields).length > 0) it.fields = { ...fields };
+      items.push(it);
     }
   }
 
@@ -154,7 +831,7 @@ function parseTargetsWithMessages(text, defaultMessage) {
   const seen = new Set();
   const out = [];
   for (const it of items) {
-    const key = it.target + "||" + it.message;
+    const key = it.target + "||" + it.message + "||" + (it.attachments || []).join(",");
     if (seen.has(key)) continue;
     seen.add(key);
     out.push(it);
@@ -162,52 +839,36 @@ function parseTargetsWithMessages(text, defaultMessage) {
   return out;
 }
 
-// ---------- repeat ----------
-function buildScheduleSpec(datetimeISO, repeatType, intervalValue) {
-  const dt = new Date(datetimeISO);
-
-  const sec = dt.getSeconds();
-  const minute = dt.getMinutes();
-  const hour = dt.getHours();
-  const dom = dt.getDate();
-  const dow = dt.getDay(); // 0..6
-
-  if (repeatType === "once") return { kind: "date", value: dt };
-
-  if (repeatType === "daily") return { kind: "cron", value: `${sec} ${minute} ${hour} * * *` };
-  if (repeatType === "weekly") return { kind: "cron", value: `${sec} ${minute} ${hour} * * ${dow}` };
-  if (repeatType === "monthly") return { kind: "cron", value: `${sec} ${minute} ${hour} ${dom} * *` };
-
-  // ✅ interval_* jangan pakai cron star-slash, karena start akan diabaikan
-  if (String(repeatType || "").startsWith("interval_")) {
-    const nRaw = Number(intervalValue);
-    const n = Number.isFinite(nRaw) && nRaw >= 1 ? Math.floor(nRaw) : 1;
-    return { kind: "interval", value: n }; // value = N
-  }
-
-  return { kind: "date", value: dt };
-}
-
-function intervalMsFromRepeat(repeatType, n) {
-  const v = Math.max(1, Math.floor(Number(n) || 1));
-  if (repeatType === "interval_seconds") return v * 1000;
-  if (repeatType === "interval_minutes") return v * 60 * 1000;
-  if (repeatType === "interval_hours") return v * 60 * 60 * 1000;
-  if (repeatType === "interval_days") return v * 24 * 60 * 60 * 1000;
-  // interval_months: tetap pakai cron monthly, tapi kamu punya interval_months di UI.
-  // supaya fitur tetap ada: kita treat months sebagai "cron monthly" berdasarkan start date.
-  if (repeatType === "interval_months") return null;
-  return null;
+// preview UI: bentuk normal tiap target per baris targetsText / membersText (tanpa menyimpan)
+// return [{ line, targets: [{ input, target, chatId } | { input, list } | { input, error }] }]
+function previewTargets(text, countryCode) {
+  const out = [];
+  String(text || "")
+    .split("\n")
+    .forEach((raw, i) => {
+      const left = raw.split("|")[0].trim();
+      if (!left) return;
+      const targets = [];
+      for (const tok of left.split(/[;,]+/).map((s) => s.trim()).filter(Boolean)) {
+        if (parseFieldToken(tok)) continue;
+        const listName = listRefName(tok);
+        if (listName) {
+          targets.push({ input: tok, list: listName });
+          continue;
+        }
+        const parsed = parsePhone(tok, countryCode);
+        targets.push(parsed.error ? { input: tok, error: parsed.error } : { input: tok, target: parsed.target, chatId: toChatId(parsed.target) });
+      }
+      if (targets.length) out.push({ line: i + 1, targets });
+    });
+  return out;
 }
 
-function computeNextRunFromStart(startISO, everyMs, nowMs = Date.now()) {
-  const start = new Date(startISO).getTime();
-  if (!Number.isFinite(start)) return new Date(nowMs + everyMs);
-  if (start > nowMs) return new Date(start);
-
-  const diff = nowMs - start;
-  const k = Math.floor(diff / everyMs) + 1;
-  return new Date(start + k * everyMs);
+// pesan error 400: invalid target on line 2 "0812": too short ... (+N more)
+function invalidTargetsError(errors) {
+  const [first] = errors;
+  const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : "";
+  return `invalid target on line ${first.line} "${first.input}": ${first.error}${more}`;
 }
 
 // ---------- window + delay ----------
@@ -221,30 +882,30 @@ function parseHHMM(s) {
   return hh * 60 + mm;
 }
 
-function isNowInWindow(now, windowStartHHMM, windowEndHHMM) {
+function isNowInWindow(now, windowStartHHMM, windowEndHHMM, tz = DEFAULT_TZ) {
   const s = parseHHMM(windowStartHHMM);
   const e = parseHHMM(windowEndHHMM);
   if (s === null || e === null) return true;
 
-  const minutes = now.getHours() * 60 + now.getMinutes();
+  const w = zonedParts(now, tz);
+  const minutes = w.hour * 60 + w.minute;
   if (s <= e) return minutes >= s && minutes <= e; // normal
   return minutes >= s || minutes <= e; // overnight
 }
 
-function msUntilWindowStart(now, windowStartHHMM, windowEndHHMM) {
+// dihitung dari jam dinding di tz -> tetap pas saat ganti DST
+function msUntilWindowStart(now, windowStartHHMM, windowEndHHMM, tz = DEFAULT_TZ) {
   const s = parseHHMM(windowStartHHMM);
   const e = parseHHMM(windowEndHHMM);
   if (s === null || e === null) return 0;
-  if (isNowInWindow(now, windowStartHHMM, windowEndHHMM)) return 0;
-
-  const minutesNow = now.getHours() * 60 + now.getMinutes();
-  const start = s;
-
-  let deltaMin;
-  if (start >= minutesNow) deltaMin = start - minutesNow;
-  else deltaMin = 24 * 60 - minutesNow + start;
+  if (isNowInWindow(now, windowStartHHMM, windowEndHHMM, tz)) return 0;
 
-  return deltaMin * 60 * 1000;
+  const w = zonedParts(now, tz);
+  let start = wallToDate(w.year, w.month, w.day, Math.floor(s / 60), s % 60, 0, tz);
+  if (start.getTime() <= now.getTime()) {
+    start = wallToDate(w.year, w.month, w.day + 1, Math.floor(s / 60), s % 60, 0, tz);
+  }
+  return Math.max(0, start.getTime() - now.getTime());
 }
 
 function sleep(ms) {
@@ -259,6 +920,81 @@ function randInt(min, max) {
   return Math.floor(Math.random() * (b - a + 1)) + a;
 }
 
+// ---------- METRICS (Prometheus) ----------
+// GET /metrics (text exposition format). Counter di memori -> reset saat restart (normal untuk Prometheus)
+const SEND_LATENCY_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 120];
+const METRIC_COUNTERS = {
+  sent: ["wa_messages_sent_total", "Pesan terkirim (sukses)"],
+  failed: ["wa_send_failed_attempts_total", "Percobaan kirim yang gagal"],
+  give_up: ["wa_messages_given_up_total", "Pesan menyerah setelah semua retry"],
+  retries: ["wa_send_retries_total", "Percobaan ulang (attempt ke-2 dst)"],
+  stop_on_reply: ["wa_stop_on_reply_total", "Target berhenti karena membalas"],
+  disconnects: ["wa_disconnects_total", "Client WhatsApp terputus"],
+  auth_failures: ["wa_auth_failures_total", "Auth failure client WhatsApp"],
+};
+const metricsByAccount = {};
+
+function metricsOf(accountId) {
+  if (!metricsByAccount[accountId]) {
+    metricsByAccount[accountId] = {
+      counters: Object.fromEntries(Object.keys(METRIC_COUNTERS).map((k) => [k, 0])),
+      // per result (ok / give_up): bucket kumulatif + sum + count
+      latency: {},
+    };
+  }
+  return metricsByAccount[accountId];
+}
+
+function countMetric(accountId, key, n = 1) {
+  metricsOf(accountId).counters[key] += n;
+}
+
+function observeSendLatency(accountId, result, seconds) {
+  const lat = metricsOf(accountId).latency;
+  if (!lat[result]) lat[result] = { buckets: SEND_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  const h = lat[result];
+  SEND_LATENCY_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) h.buckets[i]++;
+  });
+  h.sum += seconds;
+  h.count++;
+}
+
+function metricLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function renderMetrics(accountIds) {
+  const out = [];
+  const gauge = (name, help, valueOf) => {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const id of accountIds) out.push(`${name}{account="${metricLabel(id)}"} ${valueOf(accounts[id])}`);
+  };
+  gauge("wa_client_ready", "1 = client WhatsApp ready", (acc) => (acc.ready ? 1 : 0));
+  gauge("wa_send_queue_length", "Task di antrean kirim", (acc) => acc.sendQueue.length);
+  gauge("wa_scheduled_jobs", "Job terjadwal aktif (node-schedule / timer interval)", (acc) => Object.keys(acc.jobs).length);
+  gauge("wa_schedules", "Jadwal tersimpan", (acc) => acc.messages.length);
+  gauge("wa_account_paused", "1 = semua jadwal akun dijeda", (acc) => (acc.settings.paused ? 1 : 0));
+
+  for (const [key, [name, help]] of Object.entries(METRIC_COUNTERS)) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+    for (const id of accountIds) out.push(`${name}{account="${metricLabel(id)}"} ${metricsOf(id).counters[key]}`);
+  }
+
+  const h = "wa_send_duration_seconds";
+  out.push(`# HELP ${h} Durasi safeSendMessage (termasuk retry, tanpa tunggu rate limit)`, `# TYPE ${h} histogram`);
+  for (const id of accountIds) {
+    for (const [result, lat] of Object.entries(metricsOf(id).latency)) {
+      const labels = `account="${metricLabel(id)}",result="${result}"`;
+      SEND_LATENCY_BUCKETS.forEach((le, i) => out.push(`${h}_bucket{${labels},le="${le}"} ${lat.buckets[i]}`));
+      out.push(`${h}_bucket{${labels},le="+Inf"} ${lat.count}`);
+      out.push(`${h}_sum{${labels}} ${lat.sum}`);
+      out.push(`${h}_count{${labels}} ${lat.count}`);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
 // ---------- READY/RETRY FIX ----------
 async function waitUntilReady(accountId, timeoutMs = 90_000) {
   const acc = ensureAccount(accountId);
@@ -270,29 +1006,77 @@ async function waitUntilReady(accountId, timeoutMs = 90_000) {
   return false;
 }
 
-async function safeSendMessage(accountId, chatId, text, maxRetry = 3) {
+// return: { ok, attempts, messageId, error } (dipakai delivery ledger)
+// mediaIds: lampiran, teks dipakai sebagai caption lampiran pertama
+// meta: ikut di payload webhook send.* (mis. { scheduleId, runISO })
+async function safeSendMessage(accountId, chatId, text, maxRetry = 3, mediaIds = [], meta = {}) {
   const acc = ensureAccount(accountId);
+  const lctx = { scheduleId: meta.scheduleId, target: chatId };
+  let lastErr = "";
+
+  let medias = [];
+  try {
+    medias = mediaIds.map((mid) => loadMessageMedia(accountId, mid));
+  } catch (e) {
+    log(accountId, "ERROR", `GIVE UP sending -> ${chatId}`, errToStr(e), lctx);
+    countMetric(accountId, "give_up");
+    emitEvent(accountId, "send.give_up", { ...meta, chatId, attempts: 0, error: e.message });
+    return { ok: false, attempts: 0, messageId: "", error: e.message };
+  }
+
+  // lampiran yang sudah terkirim tidak dikirim ulang saat retry
+  let mediaDone = 0;
+  let firstId = "";
+  const startedAt = Date.now();
 
   for (let attempt = 1; attempt <= maxRetry; attempt++) {
+    if (attempt > 1) countMetric(accountId, "retries");
     try {
       if (!acc.ready) {
-        log(accountId, "WARN", `Not ready. waitUntilReady... (attempt ${attempt})`);
+        log(accountId, "WARN", `Not ready. waitUntilReady... (attempt ${attempt})`, "", lctx);
         const ok = await waitUntilReady(accountId, 60_000);
         if (!ok) throw new Error("Client not ready (timeout)");
       }
 
-      log(accountId, "INFO", `Sending attempt ${attempt} -> ${chatId}`, `len=${String(text || "").length}`);
-      await acc.client.sendMessage(chatId, String(text || ""));
-      log(accountId, "INFO", `SEND OK -> ${chatId}`);
-      return true;
+      log(
+        accountId,
+        "INFO",
+        `Sending attempt ${attempt} -> ${chatId}`,
+        `len=${String(text || "").length}` + (medias.length ? ` media=${medias.length}` : ""),
+        lctx
+      );
+
+      if (medias.length === 0) {
+        const sent = await acc.client.sendMessage(chatId, String(text || ""));
+        firstId = sent?.id?._serialized || "";
+      } else {
+        for (; mediaDone < medias.length; mediaDone++) {
+          const opts = mediaDone === 0 && text ? { caption: String(text) } : undefined;
+          const sent = await acc.client.sendMessage(chatId, medias[mediaDone], opts);
+          if (!firstId) firstId = sent?.id?._serialized || "";
+        }
+      }
+
+      log(accountId, "INFO", `SEND OK -> ${chatId}`, "", lctx);
+      countMetric(accountId, "sent");
+      observeSendLatency(accountId, "ok", (Date.now() - startedAt) / 1000);
+      recordRateUsage(accountId, chatId, medias.length || 1);
+      emitEvent(accountId, "send.ok", { ...meta, chatId, attempts: attempt, messageId: firstId });
+      return { ok: true, attempts: attempt, messageId: firstId, error: "" };
     } catch (e) {
-      log(accountId, "ERROR", `SEND FAIL attempt ${attempt} -> ${chatId}`, errToStr(e));
+      lastErr = e?.message || String(e);
+      log(accountId, "ERROR", `SEND FAIL attempt ${attempt} -> ${chatId}`, errToStr(e), lctx);
+      countMetric(accountId, "failed");
+      emitEvent(accountId, "send.failed", { ...meta, chatId, attempt, error: lastErr });
       if (attempt < maxRetry) await sleep(3000 * attempt);
     }
   }
 
-  log(accountId, "ERROR", `GIVE UP sending -> ${chatId}`);
-  return false;
+  log(accountId, "ERROR", `GIVE UP sending -> ${chatId}`, "", lctx);
+  countMetric(accountId, "give_up");
+  observeSendLatency(accountId, "give_up", (Date.now() - startedAt) / 1000);
+  emitEvent(accountId, "send.give_up", { ...meta, chatId, attempts: maxRetry, error: lastErr });
+  return { ok: false, attempts: maxRetry, messageId: "", error: lastErr };
 }
 
 // ---------- RECENT (per account) ----------
@@ -300,14 +1084,14 @@ function recentFile(accountId) {
   return path.join(DATA_DIR, `recent.${accountId}.json`);
 }
 function loadRecent(accountId) {
-  const obj = readJsonSafe(recentFile(accountId), { targets: [], messages: [] });
+  const obj = storeLoadRecent(accountId) || { targets: [], messages: [] };
   return {
     targets: Array.isArray(obj.targets) ? obj.targets : [],
     messages: Array.isArray(obj.messages) ? obj.messages : [],
   };
 }
 function saveRecent(accountId, recentObj) {
-  atomicWriteJson(recentFile(accountId), recentObj);
+  storeSaveRecent(accountId, recentObj);
 }
 
 function updateRecent(accountId, targetsText, defaultMessage) {
@@ -334,660 +1118,4170 @@ function updateRecent(accountId, targetsText, defaultMessage) {
   saveRecent(accountId, rec);
 }
 
-// ---------- multi account manager ----------
-const accounts = {};
+// ---------- DELIVERY LEDGER (per account) ----------
+// 1 record per target per run: status akhir, jumlah attempt, id pesan WA, error
+const MAX_DELIVERIES = 5000;
 
-function listAccountIdsFromDisk() {
+function deliveriesFile(accountId) {
+  return path.join(DATA_DIR, `deliveries.${accountId}.json`);
+}
+function recordDelivery(accountId, rec) {
+  const acc = ensureAccount(accountId);
+  const record = {
+    scheduleId: rec.scheduleId,
+    runISO: rec.runISO,
+    chatId: rec.chatId,
+    status: rec.status, // sent | failed | skipped
+    attempts: rec.attempts || 0,
+    messageId: rec.messageId || undefined,
+    error: rec.error || undefined,
+    manual: rec.manual || undefined, // send-now
+    at: ts(),
+  };
+  acc.deliveries.push(record);
+  if (acc.deliveries.length > MAX_DELIVERIES) {
+    acc.deliveries.splice(0, acc.deliveries.length - MAX_DELIVERIES);
+  }
   try {
-    if (!fs.existsSync(DATA_DIR)) return [];
-    const files = fs.readdirSync(DATA_DIR);
-    const ids = [];
-    for (const f of files) {
-      const m = f.match(/^scheduledMessages\.(.+)\.json$/);
-      if (m && m[1]) ids.push(m[1]);
-    }
-    return Array.from(new Set(ids));
-  } catch {
-    return [];
+    storeAppendDelivery(accountId, record, acc.deliveries, MAX_DELIVERIES);
+  } catch (e) {
+    log(accountId, "ERROR", "Save deliveries failed", errToStr(e));
   }
 }
 
-function bootstrapAccountsOnStart() {
-  const ids = listAccountIdsFromDisk();
-  if (ids.length === 0) {
-    console.log("[BOOT] No accounts from disk yet.");
-    return;
-  }
-  console.log("[BOOT] Bootstrapping accounts:", ids.join(", "));
-  for (const id of ids) {
-    try {
-      ensureAccount(id);
-    } catch (e) {
-      console.log("[BOOT] ensureAccount failed for", id, errToStr(e));
-    }
+// kelompokkan per run (terbaru dulu)
+function groupDeliveriesByRun(records) {
+  const runs = new Map();
+  for (const r of records) {
+    const key = `${r.scheduleId}|${r.runISO}`;
+    if (!runs.has(key)) runs.set(key, { scheduleId: r.scheduleId, runISO: r.runISO, manual: !!r.manual, deliveries: [] });
+    runs.get(key).deliveries.push(r);
   }
+  return Array.from(runs.values()).sort((a, b) => String(b.runISO).localeCompare(String(a.runISO)));
 }
 
-function ensureAccount(accountId) {
-  if (!accountId) throw new Error("accountId required");
-  if (accounts[accountId]) return accounts[accountId];
+// ---------- MEDIA (per account) ----------
+// file di data/media/<accountId>/, metadata di data/media.<accountId>.json
+const MEDIA_MAX_BYTES = 64 * 1024 * 1024;
 
-  const filePath = path.join(DATA_DIR, `scheduledMessages.${accountId}.json`);
-  const messages = loadJsonArraySafe(filePath);
+function mediaDir(accountId) {
+  return path.join(DATA_DIR, "media", accountId);
+}
+function mediaIndexFile(accountId) {
+  return path.join(DATA_DIR, `media.${accountId}.json`);
+}
+function loadMedia(accountId) {
+  return loadJsonArraySafe(mediaIndexFile(accountId));
+}
+function saveMedia(accountId, list) {
+  atomicWriteJson(mediaIndexFile(accountId), list);
+}
 
-  const acc = {
-    accountId,
-    filePath,
-    messages,
-    jobs: {},
-    ready: false,
-    qrDataUrl: "",
-    client: null,
+function safeFileName(name) {
+  const base = path.basename(String(name || "file")).replace(/[^\w.\-]+/g, "_");
+  return base.slice(-100) || "file";
+}
 
-    sendQueue: [],
-    queueRunning: false,
+function storeMedia(accountId, fileName, mimetype, buf) {
+  const dir = mediaDir(accountId);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const id = `${Date.now()}-${crypto.randomBytes(3).toString("hex")}`;
+  const filename = safeFileName(fileName);
+  const file = `${id}-${filename}`;
+  fs.writeFileSync(path.join(dir, file), buf);
+
+  const meta = {
+    id,
+    filename,
+    mimetype: String(mimetype || "application/octet-stream"),
+    size: buf.length,
+    file,
+    createdAt: ts(),
   };
+  const list = loadMedia(accountId);
+  list.push(meta);
+  saveMedia(accountId, list);
+  return meta;
+}
 
-  const client = new Client({
-    authStrategy: new LocalAuth({
-      clientId: `wa_${accountId}`,
-      // ✅ stabil: session selalu di folder project (nggak tergantung cwd PM2)
-      dataPath: path.join(__dirname, ".wwebjs_auth"),
-    }),
-    puppeteer: {
-      headless: true,
-      executablePath: chromePath || undefined,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-gpu",
-        "--no-first-run",
-        "--no-zygote",
-      ],
-    },
-  });
+function loadMessageMedia(accountId, mediaId) {
+  const meta = loadMedia(accountId).find((m) => m.id === mediaId);
+  if (!meta) throw new Error(`attachment not found: ${mediaId}`);
+  const filePath = path.join(mediaDir(accountId), meta.file);
+  if (!fs.existsSync(filePath)) throw new Error(`attachment file missing: ${mediaId}`);
+  return new MessageMedia(meta.mimetype, fs.readFileSync(filePath).toString("base64"), meta.filename);
+}
 
-  client.on("qr", async (qr) => {
-    acc.qrDataUrl = await qrcode.toDataURL(qr);
-    acc.ready = false;
-    log(accountId, "INFO", "QR generated (need scan)");
-  });
+// semua mediaId yang dipakai jadwal (level jadwal + per target)
+function mediaIdsOfItem(item) {
+  const ids = new Set(Array.isArray(item?.attachments) ? item.attachments : []);
+  for (const t of Array.isArray(item?.targets) ? item.targets : []) {
+    for (const mid of Array.isArray(t.attachments) ? t.attachments : []) ids.add(mid);
+  }
+  return ids;
+}
 
-  client.on("authenticated", () => log(accountId, "INFO", "Authenticated"));
+function referencedMediaIds(messages) {
+  const ids = new Set();
+  for (const m of messages) for (const mid of mediaIdsOfItem(m)) ids.add(mid);
+  return ids;
+}
 
-  client.on("auth_failure", (m) => {
-    acc.ready = false;
-    log(accountId, "ERROR", "Auth failure", String(m || ""));
-  });
+// return: mediaId yang tidak ada (untuk validasi POST/PUT)
+function missingMediaIds(accountId, ids) {
+  const known = new Set(loadMedia(accountId).map((m) => m.id));
+  return Array.from(ids).filter((mid) => !known.has(mid));
+}
 
-  client.on("disconnected", (reason) => {
-    acc.ready = false;
-    log(accountId, "WARN", "Disconnected", String(reason || ""));
-  });
+// tandai media sudah dipakai jadwal -> boleh dihapus otomatis kalau jadi yatim
+function markMediaAttached(accountId, ids) {
+  if (ids.size === 0) return;
+  const list = loadMedia(accountId);
+  let changed = false;
+  for (const m of list) {
+    if (ids.has(m.id) && !m.attached) {
+      m.attached = true;
+      changed = true;
+    }
+  }
+  if (changed) saveMedia(accountId, list);
+}
 
-  client.on("ready", () => {
-    acc.ready = true;
-    log(accountId, "INFO", "READY");
-    rescheduleAll(accountId);
-  });
+// hapus file yang pernah dipakai jadwal / auto reply tapi sudah tidak direferensikan lagi
+function cleanupOrphanMedia(accountId, messages) {
+  const list = loadMedia(accountId);
+  if (list.length === 0) return;
+
+  const used = referencedMediaIds([...messages, ...loadAutoReplies(accountId)]);
+  const keep = [];
+  for (const m of list) {
+    if (m.attached && !used.has(m.id)) {
+      try { fs.unlinkSync(path.join(mediaDir(accountId), m.file)); } catch {}
+      log(accountId, "INFO", "Orphan media removed", `id=${m.id} file=${m.filename}`);
+      continue;
+    }
+    keep.push(m);
+  }
+  if (keep.length !== list.length) saveMedia(accountId, keep);
+}
 
-  // ✅ STOP repeat jika ada balasan masuk mengandung keyword
-  client.on("message", async (msg) => {
-    try {
-      if (!msg) return;
-      if (msg.fromMe) return;
+// ---------- CONTACT LISTS (per account) ----------
+// data/lists.<accountId>.json: [{ name, members: [{ target, name, fields }], createdAt, updatedAt }]
+function listsFile(accountId) {
+  return path.join(DATA_DIR, `lists.${accountId}.json`);
+}
+function loadLists(accountId) {
+  return loadJsonArraySafe(listsFile(accountId));
+}
+function saveLists(accountId, lists) {
+  atomicWriteJson(listsFile(accountId), lists);
+}
 
-      const fromChatId = String(msg.from || "");
-      const body = String(msg.body || "");
+function isValidListName(name) {
+  return /^[\w-]{1,50}$/.test(String(name || ""));
+}
 
-      for (const item of acc.messages.slice()) {
-        const keyword = item.stopOnReplyKeyword;
-        if (!keyword) continue;
+// member dari array [{ target, name, fields }] atau teks "0812xxxx, name=Budi, kota=Bandung" per baris
+// opts: { countryCode, errors } seperti parseTargetsWithMessages (line = baris teks / index array + 1)
+function parseListMembers(members, membersText, opts = {}) {
+  const raw = [];
+
+  if (Array.isArray(members)) {
+    members.forEach((m, i) => {
+      if (!m || !m.target) return;
+      const fields = {};
+      for (const [k, v] of Object.entries(m.fields || {})) fields[String(k).toLowerCase()] = String(v);
+      raw.push({ target: String(m.target), name: m.name ? String(m.name) : fields.name, fields, line: i + 1 });
+    });
+  } else {
+    const lines = String(membersText || "")
+      .split("\n")
+      .map((s, i) => ({ line: s.trim(), no: i + 1 }))
+      .filter((l) => l.line);
+    for (const { line, no } of lines) {
+      const fields = {};
+      const targets = [];
+      for (const tok of line.split(/[;,]+/).map((s) => s.trim()).filter(Boolean)) {
+        const f = parseFieldToken(tok);
+        if (f) fields[f.key] = f.value;
+        else targets.push(tok);
+      }
+      for (const t of targets) raw.push({ target: t, name: fields.name, fields: { ...fields }, line: no });
+    }
+  }
 
-        const targets = Array.isArray(item.targets) ? item.targets : [];
-        const hit = targets.some((t) => toChatId(t.target) === fromChatId);
-        if (!hit) continue;
+  // normalize + dedupe target (yang terakhir menang)
+  const byTarget = new Map();
+  for (const m of raw) {
+    const parsed = parsePhone(m.target, opts.countryCode);
+    if (parsed.error) {
+      opts.errors?.push({ line: m.line, input: m.target, error: parsed.error });
+      continue;
+    }
+    const target = parsed.target;
+    const fields = { ...m.fields };
+    delete fields.name;
+    byTarget.set(target, {
+      target,
+      name: m.name || undefined,
+      fields: Object.keys(fields).length ? fields : undefined,
+    });
+  }
+  return Array.from(byTarget.values());
+}
 
-        if (!containsKeyword(body, keyword)) continue;
+function listNamesOfItem(item) {
+  const names = new Set();
+  for (const t of Array.isArray(item?.targets) ? item.targets : []) {
+    const n = listRefName(t.target);
+    if (n) names.add(n);
+  }
+  return names;
+}
 
-        log(accountId, "WARN", `STOP repeat id=${item.id} (reply contains "${keyword}")`, `from=${fromChatId}`);
+function missingListNames(accountId, names) {
+  const known = new Set(loadLists(accountId).map((l) => l.name));
+  return Array.from(names).filter((n) => !known.has(n));
+}
 
-        try {
-          acc.jobs[item.id]?.cancel();
-        } catch {}
-        delete acc.jobs[item.id];
+// target final (list sudah di-expand). field member menang atas field baris
+function resolveTargets(accountId, item) {
+  const list = Array.isArray(item?.targets) ? item.targets : [];
+  const excluded = new Set(item?.excludedChatIds || []); // berhenti via stop on reply
+  if (list.every((t) => !listRefName(t.target))) return list.filter((t) => !excluded.has(toChatId(t.target)));
 
-        const idx = acc.messages.findIndex((m) => m.id === item.id);
-        if (idx !== -1) {
-          acc.messages.splice(idx, 1);
-          saveMessages(accountId);
-        }
+  const lists = loadLists(accountId);
+  const out = [];
+  const seen = new Set();
+
+  for (const t of list) {
+    const name = listRefName(t.target);
+    const expanded = [];
+    if (!name) expanded.push(t);
+    else {
+      const cl = lists.find((l) => l.name === name);
+      if (!cl) {
+        log(accountId, "WARN", `Contact list not found -> skip`, `list=${name} id=${item.id}`);
+        continue;
+      }
+      for (const m of cl.members || []) {
+        const fields = { ...(t.fields || {}), ...(m.fields || {}) };
+        if (m.name) fields.name = m.name;
+        const it = { ...t, target: m.target };
+        if (Object.keys(fields).length > 0) it.fields = fields;
+        expanded.push(it);
       }
-    } catch (e) {
-      log(accountId, "ERROR", "message handler error", errToStr(e));
     }
-  });
 
-  client.initialize();
-  acc.client = client;
+    for (const it of expanded) {
+      const key = it.target + "||" + it.message + "||" + (it.attachments || []).join(",");
+      if (seen.has(key) || excluded.has(toChatId(it.target))) continue;
+      seen.add(key);
+      out.push(it);
+    }
+  }
+  return out;
+}
 
-  accounts[accountId] = acc;
-  log(accountId, "INFO", "Account initialized (Client.initialize called)");
-  return acc;
+// ---------- IMPORT (CSV / XLSX) ----------
+const IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+
+// return: array of rows (baris pertama = header)
+function readSpreadsheet(fileName, buf) {
+  const ext = path.extname(String(fileName || "")).toLowerCase();
+  if (ext === ".xlsx" || ext === ".xls" || ext === ".ods") {
+    const wb = XLSX.read(buf, { type: "buffer" });
+    const sheet = wb.Sheets[wb.SheetNames[0]];
+    if (!sheet) return [];
+    return XLSX.utils
+      .sheet_to_json(sheet, { header: 1, raw: false, defval: "" })
+      .filter((r) => r.some((v) => String(v).trim()));
+  }
+  return parseCsv(buf.toString("utf8"));
 }
 
-function saveMessages(accountId) {
-  const acc = ensureAccount(accountId);
-  atomicWriteJson(acc.filePath, acc.messages);
+// ---------- BLACKOUT CALENDAR (per account) ----------
+// data/blackout.<accountId>.json: [{ id, start: "YYYY-MM-DD", end: "YYYY-MM-DD", label }]
+const BLACKOUT_POLICIES = new Set(["skip", "shift", "send"]);
+
+function blackoutFile(accountId) {
+  return path.join(DATA_DIR, `blackout.${accountId}.json`);
+}
+function loadBlackout(accountId) {
+  return loadJsonArraySafe(blackoutFile(accountId));
+}
+function saveBlackout(accountId, list) {
+  atomicWriteJson(blackoutFile(accountId), list);
 }
 
-function cancelAllJobs(acc) {
-  for (const id of Object.keys(acc.jobs)) {
-    try {
-      acc.jobs[id].cancel();
-    } catch {}
-    delete acc.jobs[id];
+function isValidDay(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || "")) && isValidDateString(`${s}T00:00:00`);
+}
+
+function findBlackout(accountId, date, tz = DEFAULT_TZ) {
+  return blackoutOn(loadBlackout(accountId), date, tz);
+}
+
+function addBlackoutRanges(accountId, ranges) {
+  const list = loadBlackout(accountId);
+  const have = new Set(list.map((b) => `${b.start}|${b.end}`));
+  let added = 0;
+  for (const r of ranges) {
+    const key = `${r.start}|${r.end}`;
+    if (have.has(key)) continue;
+    have.add(key);
+    list.push({ id: `${Date.now()}-${crypto.randomBytes(3).toString("hex")}`, ...r });
+    added++;
   }
+  list.sort((a, b) => a.start.localeCompare(b.start));
+  saveBlackout(accountId, list);
+  return added;
 }
 
-// ---------- queue ----------
-function enqueueSend(accountId, task) {
-  const acc = ensureAccount(accountId);
-  acc.sendQueue.push(task);
-  runQueue(accountId);
+// .ics sederhana: VEVENT DTSTART/DTEND/SUMMARY. DTEND all-day = eksklusif
+function parseIcsDate(v, tz) {
+  const m = String(v || "").match(/(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})(Z)?)?/);
+  if (!m) return null;
+  if (!m[4]) return { day: `${m[1]}-${m[2]}-${m[3]}`, allDay: true };
+  const iso = `${m[1]}-${m[2]}-${m[3]}T${m[5]}:${m[6]}:${m[7]}${m[8] ? "Z" : ""}`;
+  return { day: dayKey(new Date(iso), tz), allDay: false };
 }
 
-async function runQueue(accountId) {
-  const acc = ensureAccount(accountId);
-  if (acc.queueRunning) return;
-  acc.queueRunning = true;
+function parseIcs(text, tz = DEFAULT_TZ) {
+  const lines = String(text || "")
+    .replace(/\r\n[ \t]/g, "")
+    .replace(/\n[ \t]/g, "")
+    .split(/\r?\n/);
 
-  while (acc.sendQueue.length > 0) {
-    const task = acc.sendQueue.shift();
-    try {
-      await task();
-    } catch (e) {
-      log(accountId, "ERROR", "Queue task failed", errToStr(e));
+  const out = [];
+  let ev = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") ev = {};
+    else if (line === "END:VEVENT") {
+      if (ev && ev.start) {
+        let end = ev.end ? ev.end.day : ev.start.day;
+        if (ev.end && ev.end.allDay && end > ev.start.day) {
+          const d = new Date(`${end}T00:00:00Z`);
+          d.setUTCDate(d.getUTCDate() - 1);
+          end = d.toISOString().slice(0, 10);
+        }
+        out.push({ start: ev.start.day, end, label: ev.summary || "" });
+      }
+      ev = null;
+    } else if (ev) {
+      const i = line.indexOf(":");
+      if (i === -1) continue;
+      const name = line.slice(0, i).split(";")[0].toUpperCase();
+      const value = line.slice(i + 1);
+      if (name === "DTSTART") ev.start = parseIcsDate(value, tz);
+      else if (name === "DTEND") ev.end = parseIcsDate(value, tz);
+      else if (name === "SUMMARY") ev.summary = value.replace(/\\([,;\\])/g, "$1").replace(/\\n/gi, " ").trim();
     }
   }
-  acc.queueRunning = false;
+  return out;
 }
 
-async function sendTargetsPerItem(accountId, item) {
+// ---------- ACCOUNT SETTINGS ----------
+// data/settings.<accountId>.json: { timeZone, countryCode, paused, pausedAt, pausedBy, rateLimits, linkedAt, linkedNumber }
+function settingsFile(accountId) {
+  return path.join(DATA_DIR, `settings.${accountId}.json`);
+}
+function loadSettings(accountId) {
+  const obj = readJsonSafe(settingsFile(accountId), {});
+  return obj && typeof obj === "object" && !Array.isArray(obj) ? obj : {};
+}
+function saveSettings(accountId) {
   const acc = ensureAccount(accountId);
+  atomicWriteJson(settingsFile(accountId), acc.settings);
+  pushStatus(accountId);
+}
 
-  const list = Array.isArray(item.targets) ? item.targets : [];
-  const gapSec = Number.isFinite(Number(item.gapSeconds))
-    ? Math.max(0, Math.floor(Number(item.gapSeconds)))
-    : 2;
-  const rMin = Number.isFinite(Number(item.randomDelayMinSeconds))
-    ? Math.max(0, Math.floor(Number(item.randomDelayMinSeconds)))
-    : 0;
-  const rMax = Number.isFinite(Number(item.randomDelayMaxSeconds))
-    ? Math.max(0, Math.floor(Number(item.randomDelayMaxSeconds)))
-    : 0;
-
-  if (!acc.ready) {
-    const ok = await waitUntilReady(accountId, 90_000);
-    if (!ok) {
-      log(accountId, "WARN", `Not ready, skip sending for item id=${item.id}`);
-      return;
-    }
-  }
+// dipakai GET /status dan event live "status"
+function accountStatus(acc) {
+  return {
+    accountId: acc.accountId,
+    ready: acc.ready,
+    scheduledCount: acc.messages.length,
+    queueLength: acc.sendQueue.length,
+    timeZone: accountTz(acc.accountId),
+    countryCode: accountCountryCode(acc.accountId),
+    paused: !!acc.settings.paused,
+    pausedAt: acc.settings.pausedAt,
+    rateLimit: rateStatus(acc.accountId),
+  };
+}
 
-  log(accountId, "INFO", `Start sending item id=${item.id}`, `targets=${list.length}`);
+function pushStatus(accountId) {
+  if (!hasLiveClients(accountId)) return;
+  const acc = accounts[accountId];
+  if (acc) livePush(accountId, "status", accountStatus(acc));
+}
 
-  for (const t of list) {
-    const jitter = rMax > 0 || rMin > 0 ? randInt(rMin, rMax) : 0;
-    if (jitter > 0) await sleep(jitter * 1000);
+function accountTz(accountId) {
+  return ensureAccount(accountId).settings.timeZone || DEFAULT_TZ;
+}
 
-    const chatId = toChatId(t.target);
-    const ok = await safeSendMessage(accountId, chatId, String(t.message || ""), 3);
-    if (!ok) log(accountId, "ERROR", `Give up for target`, chatId);
+// kode negara untuk nomor tanpa "+" (0812... / 812...)
+function accountCountryCode(accountId) {
+  return ensureAccount(accountId).settings.countryCode || DEFAULT_COUNTRY_CODE;
+}
 
-    if (gapSec > 0) await sleep(gapSec * 1000);
-  }
+// zona efektif jadwal: jadwal > akun > server
+function itemTz(accountId, item) {
+  return item?.timeZone || accountTz(accountId);
+}
 
-  log(accountId, "INFO", `Done sending item id=${item.id}`);
+// ---------- RATE LIMIT (per account, semua jadwal + auto reply) ----------
+// settings.rateLimits: { perMinute, perHour, perDay, newChatsPerDay, warmupDays, warmupStartPerDay, lookupsPerMinute } (0 = tanpa batas)
+// data/rateUsage.<accountId>.json: { sent: [ms], newChats: [{ chatId, at }], contacted: [chatId], chatsSeededAt }
+// target jadwal yang melewati batas: task antrean ditunda (notBefore), tidak dibuang; auto reply dilewati
+// default semua 0 (mati) -> install lama tidak tiba-tiba dibatasi; nyalakan per akun (settings) atau env RATE_*
+// kecuali lookupsPerMinute (cek nomor ke WA, bukan kiriman): default 30 karena cek massal juga bisa kena flag
+const DEFAULT_RATE_LIMITS = {
+  perMinute: Number(process.env.RATE_PER_MINUTE ?? 0),
+  perHour: Number(process.env.RATE_PER_HOUR ?? 0),
+  perDay: Number(process.env.RATE_PER_DAY ?? 0),
+  newChatsPerDay: Number(process.env.RATE_NEW_CHATS_PER_DAY ?? 0),
+  warmupDays: Number(process.env.RATE_WARMUP_DAYS ?? 0),
+  warmupStartPerDay: Number(process.env.RATE_WARMUP_START_PER_DAY ?? 0),
+  lookupsPerMinute: Number(process.env.RATE_LOOKUPS_PER_MINUTE ?? 30),
+};
+const RATE_LIMIT_KEYS = Object.keys(DEFAULT_RATE_LIMITS);
+const RATE_USAGE_KEEP_MS = 48 * 3600 * 1000;
+const MAX_CONTACTED = 50000;
+// file ditulis ulang utuh (contacted bisa 50rb id) -> di jalur kirim cukup tandai kotor, disimpan paling
+// lambat RATE_USAGE_FLUSH_MS kemudian (+ saat shutdown). Crash = hilang hitungan beberapa detik saja
+const RATE_USAGE_FLUSH_MS = 5000;
+const rateUsageTimers = {};
+
+function rateUsageFile(accountId) {
+  return path.join(DATA_DIR, `rateUsage.${accountId}.json`);
 }
 
-// ---------- scheduling ----------
-function afterSendUpdate(accountId, id) {
-  const acc = ensureAccount(accountId);
-  const idx = acc.messages.findIndex((m) => m.id === id);
-  if (idx === -1) return;
+// file belum ada -> "pernah dihubungi" diisi dari delivery ledger
+function loadRateUsage(accountId, deliveries = []) {
+  const obj = readJsonSafe(rateUsageFile(accountId), null);
+  if (obj && typeof obj === "object") {
+    return {
+      sent: Array.isArray(obj.sent) ? obj.sent.filter(Number.isFinite) : [],
+      newChats: Array.isArray(obj.newChats) ? obj.newChats : [],
+      contacted: new Set(Array.isArray(obj.contacted) ? obj.contacted : []),
+      chatsSeededAt: obj.chatsSeededAt,
+    };
+  }
+  return {
+    sent: [],
+    newChats: [],
+    contacted: new Set(deliveries.filter((d) => d.status === "sent").map((d) => d.chatId)),
+  };
+}
 
-  const cur = acc.messages[idx];
+function saveRateUsage(accountId) {
+  const u = ensureAccount(accountId).rateUsage;
+  const cutoff = Date.now() - RATE_USAGE_KEEP_MS;
+  u.sent = u.sent.filter((t) => t > cutoff);
+  u.newChats = u.newChats.filter((x) => new Date(x.at).getTime() > cutoff);
+  atomicWriteJson(rateUsageFile(accountId), {
+    sent: u.sent,
+    newChats: u.newChats,
+    contacted: Array.from(u.contacted).slice(-MAX_CONTACTED),
+    chatsSeededAt: u.chatsSeededAt,
+  });
+}
 
-  if ((cur.repeatType || "once") === "once") {
-    acc.messages.splice(idx, 1);
-    saveMessages(accountId);
+function saveRateUsageSoon(accountId) {
+  if (rateUsageTimers[accountId]) return;
+  rateUsageTimers[accountId] = setTimeout(() => {
+    delete rateUsageTimers[accountId];
+    if (!accounts[accountId]) return; // akun sudah dihapus
     try {
-      acc.jobs[id]?.cancel();
+      saveRateUsage(accountId);
+    } catch (e) {
+      log(accountId, "ERROR", "Save rate usage failed", errToStr(e));
+    }
+  }, RATE_USAGE_FLUSH_MS);
+}
+
+function flushRateUsage() {
+  for (const accountId of Object.keys(rateUsageTimers)) {
+    clearTimeout(rateUsageTimers[accountId]);
+    delete rateUsageTimers[accountId];
+    try {
+      if (accounts[accountId]) saveRateUsage(accountId);
     } catch {}
-    delete acc.jobs[id];
+  }
+}
 
-    log(accountId, "INFO", `Once schedule done -> removed`, `id=${id}`);
-    return;
+// ledger delivery baru ada sejak fitur DELIVERY LEDGER -> chat yang sudah ada di WhatsApp juga bukan chat baru
+// (sekali per akun, background saat READY)
+async function seedContactedFromChats(accountId) {
+  const acc = ensureAccount(accountId);
+  const u = acc.rateUsage;
+  if (u.chatsSeededAt) return;
+  try {
+    const chats = await acc.client.getChats();
+    let added = 0;
+    for (const c of chats) {
+      const id = c?.id?._serialized;
+      if (!id || id.endsWith("@g.us") || u.contacted.has(id)) continue;
+      u.contacted.add(id);
+      added++;
+    }
+    u.chatsSeededAt = ts();
+    saveRateUsage(accountId);
+    log(accountId, "INFO", "Rate limit: existing chats marked as contacted", `added=${added} chats=${chats.length}`);
+  } catch (e) {
+    log(accountId, "WARN", "Rate limit: load existing chats failed", errToStr(e));
   }
+}
 
-  if (typeof cur.remainingCount === "number") {
-    cur.remainingCount -= 1;
-    if (cur.remainingCount <= 0) {
-      acc.messages.splice(idx, 1);
-      saveMessages(accountId);
-      try {
-        acc.jobs[id]?.cancel();
-      } catch {}
-      delete acc.jobs[id];
+function rateLimitsOf(accountId) {
+  return { ...DEFAULT_RATE_LIMITS, ...(ensureAccount(accountId).settings.rateLimits || {}) };
+}
 
-      log(accountId, "INFO", `Repeat count ended -> removed`, `id=${id}`);
-      return;
-    }
-    saveMessages(accountId);
-    log(accountId, "DEBUG", `RemainingCount updated`, `id=${id} remaining=${cur.remainingCount}`);
+// validasi patch PUT settings (null = kembali ke default)
+function normalizeRateLimits(input) {
+  if (input === null) return { value: undefined };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "rateLimits must be an object" };
+  const out = {};
+  for (const [k, v] of Object.entries(input)) {
+    if (!RATE_LIMIT_KEYS.includes(k)) return { error: `rateLimits.${k} unknown (allowed: ${RATE_LIMIT_KEYS.join(", ")})` };
+    if (v === null || v === "") continue;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0) return { error: `rateLimits.${k} must be an integer >= 0 (0 = unlimited)` };
+    out[k] = n;
   }
+  return { value: out };
 }
 
-function scheduleOne(accountId, item) {
+// warm-up hanya untuk nomor yang baru di-link: nomor sama yang scan ulang / reconnect tidak mulai dari awal.
+// install lama (belum ada linkedNumber) + login dari session = nomor lama -> tanpa warm-up
+function trackLinkedNumber(accountId) {
   const acc = ensureAccount(accountId);
-  const { id, datetimeISO, repeatType = "once", intervalMinutes } = item;
-  if (!isValidDateString(datetimeISO)) return;
-
-  // cancel job lama
-  if (acc.jobs[id]) {
-    try { acc.jobs[id].cancel(); } catch {}
-    delete acc.jobs[id];
+  const number = acc.client?.info?.wid?.user;
+  if (!number || number === acc.settings.linkedNumber) return;
+  const fromQr = !!acc.qrDataUrl;
+  if (acc.settings.linkedNumber || (fromQr && !acc.settings.linkedAt)) {
+    acc.settings.linkedAt = ts();
+    log(accountId, "INFO", "New number linked -> warm-up starts", number);
   }
+  acc.settings.linkedNumber = number;
+  saveSettings(accountId);
+}
 
-  const spec = buildScheduleSpec(datetimeISO, repeatType, intervalMinutes);
+// batas harian efektif: naik linear dari warmupStartPerDay ke perDay selama warmupDays sejak nomor di-link
+function warmupInfo(accountId, limits, nowMs = Date.now()) {
+  const linkedAt = ensureAccount(accountId).settings.linkedAt;
+  if (!linkedAt || !limits.perDay || !limits.warmupDays) return null;
+  const day = Math.floor((nowMs - new Date(linkedAt).getTime()) / (24 * 3600 * 1000));
+  if (!(day >= 0) || day >= limits.warmupDays) return null;
+  const start = Math.min(limits.warmupStartPerDay || limits.perDay, limits.perDay);
+  const cap = Math.floor(start + ((limits.perDay - start) * day) / limits.warmupDays);
+  return { day: day + 1, of: limits.warmupDays, dailyCap: Math.max(1, cap) };
+}
 
-  // ============================
-  // ✅ INTERVAL MODE (start respected + persist nextRunISO)
-  // ============================
-  if (spec.kind === "interval") {
-    // special: interval_months -> fallback pakai cron monthly (biar fitur tetap ada)
-    if (repeatType === "interval_months") {
-      const dt = new Date(datetimeISO);
-      const sec = dt.getSeconds();
-      const minute = dt.getMinutes();
-      const hour = dt.getHours();
-      const dom = dt.getDate();
-      // tiap bulan di tanggal dom jam:menit:detik
-      const cron = `${sec} ${minute} ${hour} ${dom} */${Math.max(1, Math.floor(Number(spec.value) || 1))} *`;
-      const job = schedule.scheduleJob(cron, () => runTick(accountId, id));
-      acc.jobs[id] = job;
-      log(accountId, "INFO", `Scheduled INTERVAL_MONTHS via cron`, `id=${id} cron=${cron}`);
-      return;
-    }
+function isNewChat(accountId, chatId) {
+  return !String(chatId).endsWith("@g.us") && !ensureAccount(accountId).rateUsage.contacted.has(chatId);
+}
 
-    const everyMs = intervalMsFromRepeat(repeatType, spec.value);
-    if (!everyMs) {
-      log(accountId, "ERROR", "Interval type unsupported", String(repeatType));
-      return;
-    }
+function rateUsageNow(accountId, nowMs = Date.now()) {
+  const acc = ensureAccount(accountId);
+  const tz = accountTz(accountId);
+  const today = dayKey(new Date(nowMs), tz);
+  const u = acc.rateUsage;
+  return {
+    lastMinute: u.sent.filter((t) => t > nowMs - 60_000).length,
+    lastHour: u.sent.filter((t) => t > nowMs - 3600_000).length,
+    today: u.sent.filter((t) => dayKey(new Date(t), tz) === today).length,
+    newChatsToday: u.newChats.filter((x) => dayKey(new Date(x.at), tz) === today).length,
+  };
+}
 
-    const next =
-      item.nextRunISO && isValidDateString(item.nextRunISO)
-        ? new Date(item.nextRunISO)
-        : computeNextRunFromStart(datetimeISO, everyMs);
+// 0 = boleh kirim sekarang, selain itu { waitMs, reason }
+function rateLimitDelay(accountId, chatId, nowMs = Date.now()) {
+  const limits = rateLimitsOf(accountId);
+  const u = ensureAccount(accountId).rateUsage;
+  const usage = rateUsageNow(accountId, nowMs);
+  const tz = accountTz(accountId);
+
+  // tunggu sampai kiriman tertua di window rolling keluar
+  const rolling = (limit, windowMs, reason) => {
+    if (!limit) return null;
+    const inWindow = u.sent.filter((t) => t > nowMs - windowMs);
+    if (inWindow.length < limit) return null;
+    return { waitMs: inWindow[inWindow.length - limit] + windowMs - nowMs + 1, reason };
+  };
+  const untilTomorrow = (reason) => {
+    const w = zonedParts(new Date(nowMs), tz);
+    return { waitMs: Math.max(1000, wallToDate(w.year, w.month, w.day + 1, 0, 0, 0, tz).getTime() - nowMs), reason };
+  };
 
-    item.nextRunISO = next.toISOString();
-    saveMessages(accountId);
+  const hit = rolling(limits.perMinute, 60_000, `perMinute=${limits.perMinute}`) ||
+    rolling(limits.perHour, 3600_000, `perHour=${limits.perHour}`);
+  if (hit) return hit;
 
-    const job = schedule.scheduleJob(next, async () => {
-      await runTickInterval(accountId, id, everyMs);
-    });
+  const warm = warmupInfo(accountId, limits, nowMs);
+  const dailyCap = warm ? warm.dailyCap : limits.perDay;
+  if (dailyCap && usage.today >= dailyCap) {
+    return untilTomorrow(warm ? `warmup day ${warm.day}/${warm.of} cap=${dailyCap}` : `perDay=${dailyCap}`);
+  }
+  if (limits.newChatsPerDay && isNewChat(accountId, chatId) && usage.newChatsToday >= limits.newChatsPerDay) {
+    return untilTomorrow(`newChatsPerDay=${limits.newChatsPerDay}`);
+  }
+  return 0;
+}
 
-    acc.jobs[id] = job;
-    log(accountId, "INFO", `Scheduled INTERVAL job`, `id=${id} next=${item.nextRunISO}`);
-    return;
+// target task antrean lewat batas -> task ditunda (notBefore), antrean lanjut ke task lain / tidur;
+// task tetap bisa dibatalkan selama menunggu. return true kalau ditunda
+function deferTaskForRateLimit(accountId, task, chatId) {
+  const acc = ensureAccount(accountId);
+  const d = rateLimitDelay(accountId, chatId);
+  if (!d) {
+    if (acc.rateDeferred?.taskId === task.taskId) acc.rateDeferred = null;
+    return false;
   }
+  const until = new Date(Date.now() + d.waitMs).toISOString();
+  task.notBefore = until;
+  task.rateDeferred = d.reason;
+  acc.rateDeferred = { taskId: task.taskId, chatId, reason: d.reason, until };
+  saveSendQueue(accountId);
+  log(accountId, "WARN", `Rate limit -> deferred ${chatId}`, `${d.reason} resume=${until}`, { scheduleId: task.scheduleId, target: chatId });
+  return true;
+}
 
-  // ============================
-  // CRON/ONCE
-  // ============================
-  const job = schedule.scheduleJob(spec.value, async () => {
-    await runTick(accountId, id);
-  });
+// batas diubah admin -> task yang ditunda karena batas dicek ulang sekarang
+function recheckRateDeferred(accountId) {
+  const acc = ensureAccount(accountId);
+  const now = ts();
+  for (const t of acc.sendQueue) {
+    if (t.rateDeferred) t.notBefore = now;
+  }
+  acc.rateDeferred = null;
+  wakeQueue(acc);
+}
 
-  acc.jobs[id] = job;
-  log(accountId, "INFO", `Scheduled job`, `id=${id} type=${repeatType}`);
+function recordRateUsage(accountId, chatId, count = 1) {
+  const u = ensureAccount(accountId).rateUsage;
+  const now = Date.now();
+  for (let i = 0; i < count; i++) u.sent.push(now);
+  if (isNewChat(accountId, chatId)) {
+    u.newChats.push({ chatId, at: new Date(now).toISOString() });
+    u.contacted.add(chatId);
+  }
+  saveRateUsageSoon(accountId);
 }
 
-async function runTick(accountId, id) {
-  const acc = ensureAccount(accountId);
+// chat yang sudah menghubungi kita tidak dihitung chat baru
+function markContacted(accountId, chatId) {
+  const u = ensureAccount(accountId).rateUsage;
+  if (!chatId || u.contacted.has(chatId)) return;
+  u.contacted.add(chatId);
+  saveRateUsageSoon(accountId);
+}
+
+// ringkasan untuk /status
+function rateStatus(accountId) {
+  const limits = rateLimitsOf(accountId);
+  const warm = warmupInfo(accountId, limits);
+  return {
+    limits,
+    dailyCap: warm ? warm.dailyCap : limits.perDay,
+    warmup: warm,
+    usage: rateUsageNow(accountId),
+    deferred: ensureAccount(accountId).rateDeferred || null,
+  };
+}
+
+// ---------- AUTO REPLY (per account) ----------
+// autoreplies.<id>.json: [{ id, name, matchType, pattern, caseSensitive, scope, chats, businessHours,
+//   reply, attachments, cooldownSeconds, priority, enabled, hits, lastTriggeredAt, createdAt, updatedAt }]
+// pesan masuk dicek urut priority (besar dulu), hanya rule pertama yang cocok yang membalas
+const AUTOREPLY_MATCH_TYPES = new Set(["exact", "contains", "regex"]);
+const AUTOREPLY_SCOPES = new Set(["all", "contacts", "groups"]);
+
+function autoRepliesFile(accountId) {
+  return path.join(DATA_DIR, `autoreplies.${accountId}.json`);
+}
+function loadAutoReplies(accountId) {
+  return loadJsonArraySafe(autoRepliesFile(accountId));
+}
+function saveAutoReplies(accountId, rules) {
+  atomicWriteJson(autoRepliesFile(accountId), rules);
+  // lampiran rule yang dihapus / diganti ikut dibersihkan
   try {
-    log(accountId, "DEBUG", `Tick job id=${id}`);
+    cleanupOrphanMedia(accountId, ensureAccount(accountId).messages);
+  } catch (e) {
+    log(accountId, "ERROR", "Orphan media cleanup failed", errToStr(e));
+  }
+}
 
-    const idx = acc.messages.findIndex((m) => m.id === id);
-    if (idx === -1) {
-      delete acc.jobs[id];
-      log(accountId, "WARN", `Job tick but item missing -> cancel`, `id=${id}`);
-      return;
+function sortAutoReplies(rules) {
+  return rules.slice().sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0));
+}
+
+// validasi + normalisasi body POST/PUT (patch = field yang tidak dikirim pakai nilai base)
+function buildAutoReplyRule(accountId, body, base = {}) {
+  const src = { ...base, ...body };
+
+  const matchType = String(src.matchType || "contains");
+  if (!AUTOREPLY_MATCH_TYPES.has(matchType)) return { error: "matchType must be exact/contains/regex" };
+
+  const pattern = String(src.pattern || "");
+  if (!pattern.trim()) return { error: "pattern required" };
+  if (pattern.length > 500) return { error: "pattern too long (max 500)" };
+  if (matchType === "regex") {
+    try {
+      new RegExp(pattern, src.caseSensitive ? "" : "i");
+    } catch (e) {
+      return { error: `regex invalid: ${e.message}` };
     }
-    const current = acc.messages[idx];
+    const unsafe = unsafeRegexReason(pattern);
+    if (unsafe) return { error: unsafe };
+  }
 
-    // reboot safety
-    if (!acc.ready) {
-      log(accountId, "WARN", `Tick id=${id} but NOT READY -> skip (will retry next tick)`);
-      return;
+  const scope = String(src.scope || "all");
+  if (!AUTOREPLY_SCOPES.has(scope)) return { error: "scope must be all/contacts/groups" };
+
+  // chats: nomor / id grup, kosong = semua chat sesuai scope
+  const chatsRaw = Array.isArray(src.chats) ? src.chats : String(src.chats || "").split(/[,;\s]+/);
+  const chats = Array.from(new Set(chatsRaw.map((x) => String(x).trim()).filter(Boolean)));
+
+  let businessHours = null;
+  if (src.businessHours) {
+    const bh = src.businessHours;
+    if (parseHHMM(bh.start) === null || parseHHMM(bh.end) === null) {
+      return { error: "businessHours.start / end must be HH:MM" };
     }
+    const wd = normalizeWeekdays(bh.weekdays);
+    if (wd.error) return { error: `businessHours.${wd.error}` };
+    businessHours = { start: String(bh.start), end: String(bh.end), weekdays: wd.value || [] };
+  }
 
-    // until
-    if (current.repeatUntilISO && isValidDateString(current.repeatUntilISO)) {
-      if (Date.now() > new Date(current.repeatUntilISO).getTime()) {
-        try { acc.jobs[id]?.cancel(); } catch {}
-        delete acc.jobs[id];
-        acc.messages.splice(idx, 1);
-        saveMessages(accountId);
-        log(accountId, "INFO", `RepeatUntil passed -> removed`, `id=${id}`);
-        return;
-      }
+  const reply = String(src.reply || "");
+  const attachments = Array.isArray(src.attachments)
+    ? Array.from(new Set(src.attachments.map(String).filter(Boolean)))
+    : [];
+  if (!reply.trim() && attachments.length === 0) return { error: "reply or attachments required" };
+  const missing = missingMediaIds(accountId, attachments);
+  if (missing.length) return { error: `media not found: ${missing.join(", ")}` };
+
+  const cooldownSeconds = Math.max(0, Math.floor(Number(src.cooldownSeconds) || 0));
+  const priority = Math.floor(Number(src.priority) || 0);
+
+  return {
+    value: {
+      name: String(src.name || "").trim().slice(0, 100),
+      matchType,
+      pattern,
+      caseSensitive: !!src.caseSensitive,
+      scope,
+      chats,
+      businessHours,
+      reply,
+      attachments,
+      cooldownSeconds,
+      priority,
+      enabled: src.enabled !== false,
+    },
+  };
+}
+
+function autoReplyMatches(rule, body) {
+  const text = rule.caseSensitive ? body : body.toLowerCase();
+  const pat = rule.caseSensitive ? rule.pattern : rule.pattern.toLowerCase();
+  if (rule.matchType === "exact") return text.trim() === pat.trim();
+  if (rule.matchType === "contains") return text.includes(pat);
+  // rule lama yang dibuat sebelum ada validasi ReDoS: jangan dijalankan
+  if (unsafeRegexReason(rule.pattern)) return false;
+  try {
+    return new RegExp(rule.pattern, rule.caseSensitive ? "" : "i").test(body.slice(0, AUTOREPLY_REGEX_INPUT_MAX));
+  } catch {
+    return false;
+  }
+}
+
+function autoReplyAppliesTo(rule, chatId) {
+  const isGroup = chatId.endsWith("@g.us");
+  if (rule.scope === "contacts" && isGroup) return false;
+  if (rule.scope === "groups" && !isGroup) return false;
+  if (rule.chats?.length && !rule.chats.some((c) => toChatId(c) === chatId)) return false;
+  return true;
+}
+
+function inBusinessHours(bh, now, tz) {
+  if (!bh) return true;
+  if (bh.weekdays?.length && !bh.weekdays.includes(zonedParts(now, tz).dow)) return false;
+  return isNowInWindow(now, bh.start, bh.end, tz);
+}
+
+// dipanggil dari client.on("message")
+async function handleAutoReply(accountId, msg) {
+  const acc = ensureAccount(accountId);
+  const chatId = String(msg.from || "");
+  const body = String(msg.body || "");
+  if (!chatId || chatId === "status@broadcast") return;
+
+  const rules = sortAutoReplies(loadAutoReplies(accountId)).filter((r) => r.enabled !== false);
+  if (!rules.length) return;
+
+  const now = new Date();
+  const tz = accountTz(accountId);
+  if (!acc.autoReplyCooldown) acc.autoReplyCooldown = new Map(); // `${ruleId}|${chatId}` -> ms
+
+  for (const rule of rules) {
+    if (!autoReplyAppliesTo(rule, chatId)) continue;
+    if (!autoReplyMatches(rule, body)) continue;
+    if (!inBusinessHours(rule.businessHours, now, tz)) continue;
+
+    const key = `${rule.id}|${chatId}`;
+    const last = acc.autoReplyCooldown.get(key) || 0;
+    if (rule.cooldownSeconds > 0 && now.getTime() - last < rule.cooldownSeconds * 1000) {
+      log(accountId, "DEBUG", `AUTO-REPLY cooldown rule=${rule.id}`, `from=${chatId}`);
+      return; // rule cocok tapi masih cooldown -> jangan jatuh ke rule lain
     }
 
-    // count
-    if (typeof current.remainingCount === "number" && current.remainingCount <= 0) {
-      try { acc.jobs[id]?.cancel(); } catch {}
-      delete acc.jobs[id];
-      acc.messages.splice(idx, 1);
-      saveMessages(accountId);
-      log(accountId, "INFO", `RemainingCount <=0 -> removed`, `id=${id}`);
+    // balasan yang telat tidak berguna -> lewati (jangan menahan pesan masuk lain)
+    const limited = rateLimitDelay(accountId, chatId);
+    if (limited) {
+      log(accountId, "WARN", `AUTO-REPLY skipped (rate limit) rule=${rule.id}`, `from=${chatId} ${limited.reason}`);
       return;
     }
+    acc.autoReplyCooldown.set(key, now.getTime());
 
-    // window check
-    const now = new Date();
-    if (!isNowInWindow(now, current.windowStart, current.windowEnd)) {
-      const waitMs = msUntilWindowStart(now, current.windowStart, current.windowEnd);
-      log(accountId, "DEBUG", `Outside window -> delay`, `id=${id} waitMs=${waitMs}`);
+    log(accountId, "INFO", `AUTO-REPLY triggered rule=${rule.id}${rule.name ? ` (${rule.name})` : ""}`, `from=${chatId}`);
 
-      enqueueSend(accountId, async () => {
-        const idx2 = acc.messages.findIndex((m) => m.id === id);
-        if (idx2 === -1) return;
-        const cur2 = acc.messages[idx2];
+    const text = renderMessage(rule.reply, {
+      fields: msg._data?.notifyName ? { name: String(msg._data.notifyName) } : {},
+      at: now,
+      tz,
+    });
+    const res = await safeSendMessage(accountId, chatId, text, 2, rule.attachments || [], { autoReplyId: rule.id });
+
+    // hits disimpan ke file terbaru (rule bisa diedit saat kirim)
+    const fresh = loadAutoReplies(accountId);
+    const f = fresh.find((r) => r.id === rule.id);
+    if (f) {
+      f.hits = (Number(f.hits) || 0) + 1;
+      f.lastTriggeredAt = ts();
+      f.lastResult = res.ok ? "sent" : `failed: ${res.error}`;
+      atomicWriteJson(autoRepliesFile(accountId), fresh);
+    }
+    return;
+  }
+}
 
-        if (cur2.repeatUntilISO && isValidDateString(cur2.repeatUntilISO)) {
-          if (Date.now() > new Date(cur2.repeatUntilISO).getTime()) return;
-        }
-        if (typeof cur2.remainingCount === "number" && cur2.remainingCount <= 0) return;
+// ---------- WEBHOOKS (per account) ----------
+// webhooks.<id>.json: [{ id, url, events, secret, enabled, createdAt, updatedAt }]
+// webhookLog.<id>.json: log pengiriman (terbaru di belakang), dibatasi per webhook
+const WEBHOOK_EVENTS = new Set([
+  "qr",
+  "authenticated",
+  "ready",
+  "disconnected",
+  "auth_failure",
+  "schedule.created",
+  "schedule.updated",
+  "schedule.deleted",
+  "send.ok",
+  "send.failed",
+  "send.give_up",
+  "stop_on_reply",
+]);
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_LOG_PER_HOOK = 100;
+
+function webhooksFile(accountId) {
+  return path.join(DATA_DIR, `webhooks.${accountId}.json`);
+}
+function webhookLogFile(accountId) {
+  return path.join(DATA_DIR, `webhookLog.${accountId}.json`);
+}
+function loadWebhooks(accountId) {
+  return loadJsonArraySafe(webhooksFile(accountId));
+}
+function saveWebhooks(accountId, hooks) {
+  atomicWriteJson(webhooksFile(accountId), hooks);
+}
 
-        if (waitMs > 0) await sleep(waitMs);
+// secret tidak pernah ikut di GET (hanya saat dibuat / rotate)
+function publicWebhook(h) {
+  const { secret, ...rest } = h;
+  return { ...rest, hasSecret: !!secret };
+}
 
-        const ok = await waitUntilReady(accountId, 60_000);
-        if (!ok) {
-          log(accountId, "WARN", `After window wait, still not ready -> skip`, `id=${id}`);
-          return;
-        }
+function isValidWebhookUrl(u) {
+  try {
+    const x = new URL(String(u || ""));
+    return x.protocol === "http:" || x.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// events: array / "a,b" ; kosong = semua event
+function normalizeWebhookEvents(v) {
+  const arr = Array.isArray(v) ? v : String(v || "").split(/[,\s]+/);
+  const events = Array.from(new Set(arr.map((x) => String(x).trim()).filter(Boolean)));
+  const bad = events.filter((e) => !WEBHOOK_EVENTS.has(e));
+  if (bad.length) return { error: `unknown events: ${bad.join(", ")}` };
+  return { value: events };
+}
+
+function recordWebhookAttempt(accountId, entry) {
+  const all = loadJsonArraySafe(webhookLogFile(accountId));
+  all.push(entry);
+  // batasi per webhook (yang lama dibuang)
+  const count = {};
+  const kept = [];
+  for (let i = all.length - 1; i >= 0; i--) {
+    const w = all[i].webhookId;
+    count[w] = (count[w] || 0) + 1;
+    if (count[w] <= WEBHOOK_LOG_PER_HOOK) kept.push(all[i]);
+  }
+  atomicWriteJson(webhookLogFile(accountId), kept.reverse());
+}
+
+function signWebhookBody(secret, body) {
+  return "sha256=" + crypto.createHmac("sha256", String(secret || "")).update(body).digest("hex");
+}
 
-        const now2 = new Date();
-        if (!isNowInWindow(now2, cur2.windowStart, cur2.windowEnd)) return;
+// 1x POST, return { ok, httpStatus, error, durationMs }
+async function postWebhookOnce(hook, event, body) {
+  const started = Date.now();
+  try {
+    const r = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "wa-scheduler-webhook",
+        "X-WA-Event": event,
+        "X-WA-Signature": signWebhookBody(hook.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    const ok = r.status >= 200 && r.status < 300;
+    return { ok, httpStatus: r.status, error: ok ? "" : `HTTP ${r.status}`, durationMs: Date.now() - started };
+  } catch (e) {
+    return { ok: false, httpStatus: 0, error: e?.message || String(e), durationMs: Date.now() - started };
+  }
+}
 
-        await sendTargetsPerItem(accountId, cur2);
-        afterSendUpdate(accountId, id);
+// kirim + retry backoff (5s, 10s, 20s, 40s) di background, tiap attempt masuk log
+async function deliverWebhook(accountId, hook, payload) {
+  const body = JSON.stringify(payload);
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const res = await postWebhookOnce(hook, payload.event, body);
+    const last = res.ok || attempt === WEBHOOK_MAX_ATTEMPTS;
+    try {
+      recordWebhookAttempt(accountId, {
+        at: ts(),
+        webhookId: hook.id,
+        deliveryId: payload.id,
+        event: payload.event,
+        attempt,
+        status: res.ok ? "ok" : last ? "failed" : "retrying",
+        httpStatus: res.httpStatus,
+        durationMs: res.durationMs,
+        error: res.error || undefined,
       });
-      return;
+    } catch {}
+    if (res.ok) return res;
+    if (last) {
+      log(accountId, "WARN", `Webhook GIVE UP ${payload.event}`, `webhook=${hook.id} ${res.error}`);
+      return res;
     }
+    await sleep(5000 * 2 ** (attempt - 1));
+  }
+}
 
-    enqueueSend(accountId, async () => {
-      const idx2 = acc.messages.findIndex((m) => m.id === id);
-      if (idx2 === -1) return;
-      const cur2 = acc.messages[idx2];
+// dipanggil dari event WA / jadwal / kirim; tidak pernah throw ke pemanggil
+function emitEvent(accountId, event, data = {}) {
+  let hooks = [];
+  try {
+    hooks = loadWebhooks(accountId).filter(
+      (h) => h.enabled !== false && (!h.events?.length || h.events.includes(event))
+    );
+  } catch {}
+  if (!hooks.length) return;
 
-      const ok = await waitUntilReady(accountId, 60_000);
-      if (!ok) {
-        log(accountId, "WARN", `Wait ready timeout before send -> skip`, `id=${id}`);
-        return;
-      }
+  const payload = {
+    id: crypto.randomBytes(8).toString("hex"),
+    event,
+    accountId,
+    at: ts(),
+    data,
+  };
+  for (const h of hooks) {
+    deliverWebhook(accountId, h, payload).catch((e) =>
+      log(accountId, "ERROR", "Webhook delivery error", errToStr(e))
+    );
+  }
+}
+
+// ringkasan jadwal untuk payload event schedule.*
+function scheduleSummary(item) {
+  return {
+    id: item.id,
+    repeatType: item.repeatType || "once",
+    datetimeISO: item.datetimeISO,
+    nextRunISO: item.nextRunISO,
+    timeZone: item.timeZone,
+    targetsCount: Array.isArray(item.targets) ? item.targets.length : 0,
+  };
+}
+
+// ---------- NUMBER CHECK (target terdaftar di WhatsApp / masih anggota grup) ----------
+// data/numberCheck.<accountId>.json: { [chatId]: { valid, reason, resolvedId, checkedAt } }
+// hasil per jadwal disimpan di item.targetCheck = { checkedAt, total, invalid: [{ chatId, target, reason }], pending }
+// invalidTargetPolicy per jadwal: off (tidak dicek saat run) | flag (cek + tandai, tetap kirim) | skip (target invalid tidak dikirim)
+const NUMBER_CHECK_TTL_VALID_MS = 7 * 24 * 3600 * 1000;
+const NUMBER_CHECK_TTL_INVALID_MS = 24 * 3600 * 1000; // nomor bisa baru daftar WA / dibetulkan
+const NUMBER_CHECK_SYNC_BUDGET_MS = 8000; // POST/PUT menunggu maksimal segini, sisanya dicek di background
+const NUMBER_CHECK_TIMEOUT_MS = Number(process.env.NUMBER_CHECK_TIMEOUT_MS || 15000); // per panggilan WA
+const INVALID_TARGET_POLICIES = new Set(["off", "flag", "skip"]);
+
+function numberCheckFile(accountId) {
+  return path.join(DATA_DIR, `numberCheck.${accountId}.json`);
+}
+function loadNumberCheck(accountId) {
+  const obj = readJsonSafe(numberCheckFile(accountId), {});
+  return obj && typeof obj === "object" && !Array.isArray(obj) ? obj : {};
+}
+function saveNumberCheck(accountId) {
+  const acc = ensureAccount(accountId);
+  // yang sudah kadaluarsa tidak perlu disimpan
+  for (const chatId of Object.keys(acc.numberCheck)) {
+    if (!cachedNumberCheck(acc, chatId)) delete acc.numberCheck[chatId];
+  }
+  try {
+    atomicWriteJson(numberCheckFile(accountId), acc.numberCheck);
+  } catch (e) {
+    log(accountId, "ERROR", "Save number check cache failed", errToStr(e));
+  }
+}
+
+function cachedNumberCheck(acc, chatId) {
+  const rec = acc.numberCheck[chatId];
+  if (!rec) return null;
+  const ttl = rec.valid ? NUMBER_CHECK_TTL_VALID_MS : NUMBER_CHECK_TTL_INVALID_MS;
+  return Date.now() - Date.parse(rec.checkedAt) < ttl ? rec : null;
+}
 
-      await sendTargetsPerItem(accountId, cur2);
-      afterSendUpdate(accountId, id);
+// semua lookup WA satu akun lewat satu antrean (POST/PUT, cek ulang, screen sebelum run, background):
+// serial, dijeda sesuai rateLimits.lookupsPerMinute, tiap panggilan dibatasi NUMBER_CHECK_TIMEOUT_MS
+function queueLookup(accountId, fn) {
+  const acc = ensureAccount(accountId);
+  const run = async () => {
+    const perMinute = rateLimitsOf(accountId).lookupsPerMinute;
+    const wait = perMinute ? acc.lastLookupAt + Math.ceil(60_000 / perMinute) - Date.now() : 0;
+    if (wait > 0) await sleep(wait);
+    acc.lastLookupAt = Date.now();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timeout after ${NUMBER_CHECK_TIMEOUT_MS}ms`)), NUMBER_CHECK_TIMEOUT_MS);
     });
+    try {
+      return await Promise.race([fn(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+  const p = (acc.lookupChain || Promise.resolve()).then(run);
+  acc.lookupChain = p.catch(() => {});
+  return p;
+}
+
+// return { valid, reason?, resolvedId? } | null (belum bisa dicek: akun belum ready / error WA)
+async function checkChatId(accountId, chatId, force = false) {
+  const acc = ensureAccount(accountId);
+  const hit = !force && cachedNumberCheck(acc, chatId);
+  if (hit) return hit;
+  if (!acc.ready || !acc.client) return null;
+
+  let rec;
+  try {
+    if (chatId.endsWith("@g.us")) {
+      const chat = await queueLookup(accountId, () => acc.client.getChatById(chatId));
+      const me = acc.client.info?.wid?._serialized;
+      const member = !!chat?.isGroup && (chat.participants || []).some((p) => p.id?._serialized === me);
+      rec = member ? { valid: true } : { valid: false, reason: chat?.isGroup ? "not a group member" : "group not found" };
+    } else {
+      const wid = await queueLookup(accountId, () => acc.client.getNumberId(chatId.replace(/@c\.us$/, "")));
+      rec = wid
+        ? { valid: true, resolvedId: wid._serialized !== chatId ? wid._serialized : undefined }
+        : { valid: false, reason: "not on WhatsApp" };
+    }
   } catch (e) {
-    log(accountId, "ERROR", `Job error id=${id}`, errToStr(e));
+    // error jaringan / WA / timeout -> jangan dicache sebagai invalid
+    log(accountId, "WARN", "Number check failed", `chatId=${chatId} ${e.message}`);
+    return null;
   }
+  rec.checkedAt = ts();
+  acc.numberCheck[chatId] = rec;
+  return rec;
 }
 
-async function runTickInterval(accountId, id, everyMs) {
+// cek semua target jadwal (termasuk @list); budget habis (dicek antar lookup) -> sisanya dari cache saja / pending
+async function checkScheduleTargets(accountId, item, { budgetMs = Infinity, force = false } = {}) {
+  const acc = ensureAccount(accountId);
+  const started = Date.now();
+  const byChat = new Map();
+  for (const t of resolveTargets(accountId, item)) {
+    const chatId = toChatId(t.target);
+    if (!byChat.has(chatId)) byChat.set(chatId, t.target);
+  }
+
+  const invalid = [];
+  let pending = 0;
+  for (const [chatId, target] of byChat) {
+    const rec =
+      Date.now() - started < budgetMs ? await checkChatId(accountId, chatId, force) : cachedNumberCheck(acc, chatId);
+    if (!rec) pending++;
+    else if (!rec.valid) invalid.push({ chatId, target, reason: rec.reason });
+  }
+  saveNumberCheck(accountId);
+  return { checkedAt: ts(), total: byChat.size, invalid, pending };
+}
+
+// hasil cek ditulis ke item.targetCheck. budgetMs = batas tunggu total (POST/PUT): lewat batas -> jawab dari
+// cache (sisanya pending) dan cek penuh tetap jalan di background lalu menulis item.targetCheck
+async function refreshTargetCheck(accountId, id, budgetMs, force = false) {
   const acc = ensureAccount(accountId);
+  const item = acc.messages.find((m) => m.id === id);
+  if (!item) return null;
+
+  const full = checkScheduleTargets(accountId, item, { force }).then((result) => {
+    const cur = acc.messages.find((m) => m.id === id);
+    if (!cur) return result;
+    cur.targetCheck = result;
+    saveMessages(accountId);
+    if (result.invalid.length) {
+      log(accountId, "WARN", "Invalid targets", `id=${id} invalid=${result.invalid.map((x) => x.chatId).join(",")}`);
+    }
+    return result;
+  });
+  if (budgetMs === Infinity) return full;
 
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, budgetMs, null);
+  });
   try {
-    log(accountId, "DEBUG", `Tick INTERVAL job id=${id}`);
+    const done = await Promise.race([full, timeout]);
+    if (done) return done;
+  } finally {
+    clearTimeout(timer);
+  }
+  full.catch((e) => log(accountId, "ERROR", "Target check failed", errToStr(e)));
+  return checkScheduleTargets(accountId, item, { budgetMs: 0 });
+}
 
-    const idx = acc.messages.findIndex((m) => m.id === id);
-    if (idx === -1) {
-      delete acc.jobs[id];
-      log(accountId, "WARN", `Interval tick but item missing -> cancel`, `id=${id}`);
-      return;
+// sebelum run (task baru): policy flag -> tandai, skip -> target invalid dibuang + dicatat skipped di ledger
+async function screenTaskTargets(accountId, task, item) {
+  const policy = item.invalidTargetPolicy || "off";
+  if (policy === "off" || !task.targets?.length) return;
+
+  const invalid = [];
+  let pending = 0;
+  for (const t of task.targets) {
+    const rec = await checkChatId(accountId, t.chatId);
+    if (!rec) pending++;
+    else if (!rec.valid) invalid.push({ chatId: t.chatId, target: t.chatId.replace(/@c\.us$/, ""), reason: rec.reason });
+  }
+  saveNumberCheck(accountId);
+  item.targetCheck = { checkedAt: ts(), total: task.targets.length, invalid, pending };
+  saveMessages(accountId);
+  if (!invalid.length) return;
+
+  log(accountId, "WARN", "Invalid targets before run", `id=${item.id} invalid=${invalid.length} policy=${policy}`);
+  if (policy !== "skip") return;
+
+  const bad = new Set(invalid.map((x) => x.chatId));
+  task.targets = task.targets.filter((t) => !bad.has(t.chatId));
+  for (const x of invalid) {
+    recordDelivery(accountId, {
+      scheduleId: task.scheduleId,
+      runISO: task.runISO,
+      chatId: x.chatId,
+      status: "skipped",
+      error: `invalid target: ${x.reason}`,
+      manual: task.kind === "manual",
+    });
+  }
+  saveSendQueue(accountId);
+}
+
+// ---------- multi account manager ----------
+const accounts = {};
+
+function listAccountIdsFromDisk() {
+  try {
+    if (!fs.existsSync(DATA_DIR)) return [];
+    const files = fs.readdirSync(DATA_DIR);
+    const ids = storeAccountIds();
+    for (const f of files) {
+      const m = f.match(/^scheduledMessages\.(.+)\.json$/);
+      if (m && m[1]) ids.push(m[1]);
     }
-    const current = acc.messages[idx];
+    return Array.from(new Set(ids));
+  } catch {
+    return [];
+  }
+}
 
-    // until
-    if (current.repeatUntilISO && isValidDateString(current.repeatUntilISO)) {
-      if (Date.now() > new Date(current.repeatUntilISO).getTime()) {
-        try { acc.jobs[id]?.cancel(); } catch {}
-        delete acc.jobs[id];
-        acc.messages.splice(idx, 1);
-        saveMessages(accountId);
-        log(accountId, "INFO", `RepeatUntil passed -> removed`, `id=${id}`);
-        return;
+function bootstrapAccountsOnStart() {
+  console.log("[BOOT] Storage:", STORAGE === "sqlite" ? `sqlite (${SQLITE_FILE})` : "json");
+  exportSqliteToJson();
+  migrateAllJsonToSqlite();
+  const ids = listAccountIdsFromDisk();
+  if (ids.length === 0) {
+    console.log("[BOOT] No accounts from disk yet.");
+    return;
+  }
+  console.log("[BOOT] Bootstrapping accounts:", ids.join(", "));
+  for (const id of ids) {
+    try {
+      const acc = ensureAccount(id);
+      // jadwal + misfire policy langsung saat boot (kirim tetap menunggu READY di antrean)
+      rescheduleAll(id);
+      if (acc.sendQueue.length) {
+        console.log(`[BOOT] ${id}: ${acc.sendQueue.length} queued send task(s) restored`);
+        // tunggu READY di dalam runQueue (kalau lama, lanjut lagi dari event "ready")
+        runQueue(id);
       }
+    } catch (e) {
+      console.log("[BOOT] ensureAccount failed for", id, errToStr(e));
     }
+  }
+}
 
-    // count
-    if (typeof current.remainingCount === "number" && current.remainingCount <= 0) {
-      try { acc.jobs[id]?.cancel(); } catch {}
-      delete acc.jobs[id];
-      acc.messages.splice(idx, 1);
-      saveMessages(accountId);
-      log(accountId, "INFO", `RemainingCount <=0 -> removed`, `id=${id}`);
-      return;
-    }
+function ensureAccount(accountId) {
+  if (!accountId) throw new Error("accountId required");
+  if (accounts[accountId]) return accounts[accountId];
 
-    // kalau belum ready, geser nextRun agar tidak ngebut
-    if (!acc.ready) {
-      log(accountId, "WARN", `INTERVAL tick but NOT READY -> postpone`, `id=${id}`);
-      current.nextRunISO = new Date(Date.now() + everyMs).toISOString();
-      saveMessages(accountId);
-      scheduleOne(accountId, current);
-      return;
+  const filePath = schedulesFile(accountId);
+  const messages = storeLoadSchedules(accountId);
+  const deliveries = storeLoadDeliveries(accountId, MAX_DELIVERIES);
+  const settings = loadSettings(accountId);
+  const rateUsage = loadRateUsage(accountId, deliveries);
+
+  const acc = {
+    accountId,
+    filePath,
+    messages,
+    deliveries,
+    settings,
+    rateUsage,
+    rateDeferred: null,
+    numberCheck: loadNumberCheck(accountId),
+    lookupChain: null, // antrean lookup WA (number check), lihat queueLookup
+    lastLookupAt: 0,
+    jobs: {},
+    ready: false,
+    qrDataUrl: "",
+    client: null,
+
+    sendQueue: loadSendQueue(accountId),
+    queueRunning: false,
+    queueWake: null,
+    activeTask: null,
+  };
+
+  const client = new Client({
+    authStrategy: new LocalAuth({
+      clientId: `wa_${accountId}`,
+      // ✅ stabil: session selalu di folder project (nggak tergantung cwd PM2)
+      dataPath: path.join(__dirname, ".wwebjs_auth"),
+    }),
+    puppeteer: {
+      headless: true,
+      executablePath: chromePath || undefined,
+      args: [
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-dev-shm-usage",
+        "--disable-gpu",
+        "--no-first-run",
+        "--no-zygote",
+      ],
+    },
+  });
+
+  client.on("qr", async (qr) => {
+    acc.qrDataUrl = await qrcode.toDataURL(qr);
+    acc.ready = false;
+    log(accountId, "INFO", "QR generated (need scan)");
+    pushQr(accountId, acc.qrDataUrl);
+    pushStatus(accountId);
+    // isi QR = bisa link device -> webhook hanya dapat tanda perlu scan (sama seperti SSE non-admin)
+    emitEvent(accountId, "qr", { needsQr: true, at: ts() });
+  });
+
+  client.on("authenticated", () => {
+    log(accountId, "INFO", "Authenticated");
+    emitEvent(accountId, "authenticated");
+  });
+
+  client.on("auth_failure", (m) => {
+    acc.ready = false;
+    log(accountId, "ERROR", "Auth failure", String(m || ""));
+    countMetric(accountId, "auth_failures");
+    pushStatus(accountId);
+    emitEvent(accountId, "auth_failure", { message: String(m || "") });
+  });
+
+  client.on("disconnected", (reason) => {
+    acc.ready = false;
+    log(accountId, "WARN", "Disconnected", String(reason || ""));
+    countMetric(accountId, "disconnects");
+    pushStatus(accountId);
+    emitEvent(accountId, "disconnected", { reason: String(reason || "") });
+  });
+
+  client.on("ready", () => {
+    acc.ready = true;
+    log(accountId, "INFO", "READY");
+    trackLinkedNumber(accountId);
+    acc.qrDataUrl = "";
+    seedContactedFromChats(accountId);
+    pushQr(accountId, "");
+    pushStatus(accountId);
+    emitEvent(accountId, "ready");
+    rescheduleAll(accountId);
+    // antrean kirim yang tersimpan (restart / disconnect) dilanjutkan
+    if (acc.sendQueue.length) runQueue(accountId);
+    // jadwal yang dibuat saat belum ready -> target dicek sekarang (background)
+    for (const item of acc.messages.filter((m) => m.targetCheck?.pending)) {
+      refreshTargetCheck(accountId, item.id, Infinity).catch((e) => log(accountId, "ERROR", "Target check failed", errToStr(e)));
+    }
+  });
+
+  // ✅ STOP per target jika target membalas (keyword / regex / balasan apa pun)
+  client.on("message", async (msg) => {
+    try {
+      if (!msg) return;
+      if (msg.fromMe) return;
+
+      const fromChatId = String(msg.from || "");
+      const body = String(msg.body || "");
+      markContacted(accountId, fromChatId);
+
+      for (const item of acc.messages.slice()) {
+        if (stopOnReplyMode(item) === "off") continue;
+
+        const targets = resolveTargets(accountId, item);
+        const hit = targets.some((t) => toChatId(t.target) === fromChatId);
+        if (!hit) continue;
+
+        if (!replyStopsTarget(item, body)) continue;
+
+        stopTargetOnReply(accountId, item, fromChatId, body);
+      }
+
+      await handleAutoReply(accountId, msg);
+    } catch (e) {
+      log(accountId, "ERROR", "message handler error", errToStr(e));
+    }
+  });
+
+  client.initialize();
+  acc.client = client;
+
+  accounts[accountId] = acc;
+  log(accountId, "INFO", "Account initialized (Client.initialize called)");
+  return acc;
+}
+
+// target membalas -> keluarkan dari jadwal (target langsung: hapus dari targets + baris targetsText,
+// target dari @list: masuk excludedChatIds). Jadwal dihapus kalau tidak ada target tersisa.
+function stopTargetOnReply(accountId, item, chatId, body) {
+  const acc = ensureAccount(accountId);
+  const mode = stopOnReplyMode(item);
+
+  const rec = { chatId, at: ts(), mode, keyword: item.stopOnReplyKeyword, reply: String(body || "").slice(0, 200) };
+  item.stoppedTargets = [...(item.stoppedTargets || []), rec].slice(-500);
+
+  const before = item.targets.length;
+  item.targets = item.targets.filter((t) => listRefName(t.target) || toChatId(t.target) !== chatId);
+  if (item.targets.length !== before) item.targetsText = removeTargetFromText(item.targetsText, chatId, accountCountryCode(accountId));
+
+  // masih ada lewat daftar kontak -> exclude
+  if (resolveTargets(accountId, item).some((t) => toChatId(t.target) === chatId)) {
+    item.excludedChatIds = Array.from(new Set([...(item.excludedChatIds || []), chatId]));
+  }
+
+  const remaining = resolveTargets(accountId, item).length;
+  log(
+    accountId,
+    "WARN",
+    `STOP target ${chatId} id=${item.id} (reply ${mode}${item.stopOnReplyKeyword ? ` "${item.stopOnReplyKeyword}"` : ""})`,
+    `remaining=${remaining}`
+  );
+  countMetric(accountId, "stop_on_reply");
+  emitEvent(accountId, "stop_on_reply", {
+    scheduleId: item.id,
+    from: chatId,
+    mode,
+    keyword: item.stopOnReplyKeyword,
+    body: String(body || "").slice(0, 500),
+    remainingTargets: remaining,
+  });
+
+  if (remaining > 0) {
+    saveMessages(accountId);
+    return;
+  }
+
+  for (const key of [item.id, `${item.id}:shift`]) {
+    try { acc.jobs[key]?.cancel(); } catch {}
+    delete acc.jobs[key];
+  }
+  const idx = acc.messages.findIndex((m) => m.id === item.id);
+  if (idx !== -1) {
+    acc.messages.splice(idx, 1);
+    saveMessages(accountId);
+    log(accountId, "WARN", `All targets replied -> schedule removed`, `id=${item.id}`);
+    emitEvent(accountId, "schedule.deleted", { id: item.id, reason: "stop_on_reply" });
+  }
+}
+
+function saveMessages(accountId) {
+  const acc = ensureAccount(accountId);
+  storeSaveSchedules(accountId, acc.messages);
+  livePush(accountId, "schedules", { scheduledCount: acc.messages.length });
+  pushStatus(accountId);
+  // jadwal dihapus / diedit -> buang lampiran yang sudah tidak dipakai
+  try {
+    cleanupOrphanMedia(accountId, acc.messages);
+  } catch (e) {
+    log(accountId, "ERROR", "Orphan media cleanup failed", errToStr(e));
+  }
+}
+
+function cancelAllJobs(acc) {
+  for (const id of Object.keys(acc.jobs)) {
+    try {
+      acc.jobs[id].cancel();
+    } catch {}
+    delete acc.jobs[id];
+  }
+}
+
+// ---------- queue (persist: data/sendQueue.<accountId>.json) ----------
+// task: { taskId, scheduleId, kind: "run" | "manual", notBefore, requireWindow, createdAt,
+//         runISO, counter, gapSec, rMin, rMax, targets: [{ chatId, text, attachments }] (sisa), sent }
+// targets diisi saat run mulai; tiap target selesai langsung dibuang dari file -> restart lanjut dari sisa
+// urutan: task yang sudah mulai dulu, lalu notBefore paling awal (task yang menunggu window tidak menahan yang lain)
+function sendQueueFile(accountId) {
+  return path.join(DATA_DIR, `sendQueue.${accountId}.json`);
+}
+function loadSendQueue(accountId) {
+  return loadJsonArraySafe(sendQueueFile(accountId)).filter((t) => t && t.taskId && t.scheduleId);
+}
+function saveSendQueue(accountId) {
+  const acc = ensureAccount(accountId);
+  try {
+    atomicWriteJson(sendQueueFile(accountId), acc.sendQueue);
+  } catch (e) {
+    log(accountId, "ERROR", "Save send queue failed", errToStr(e));
+  }
+  livePush(accountId, "queue", { queueLength: acc.sendQueue.length });
+  pushStatus(accountId);
+}
+
+// notBefore: waktu kirim paling awal (window), requireWindow: cek ulang window saat waktunya tiba
+function newSendTask(scheduleId, kind, notBefore, requireWindow = false) {
+  return {
+    taskId: `${Date.now()}-${crypto.randomBytes(3).toString("hex")}`,
+    scheduleId,
+    kind,
+    notBefore: new Date(notBefore).toISOString(),
+    requireWindow: requireWindow || undefined,
+    createdAt: ts(),
+    targets: null,
+    sent: 0,
+  };
+}
+
+function enqueueSend(accountId, task) {
+  const acc = ensureAccount(accountId);
+  acc.sendQueue.push(task);
+  saveSendQueue(accountId);
+  wakeQueue(acc);
+  runQueue(accountId);
+}
+
+// run terjadwal: di luar window -> antre dengan notBefore = awal window berikutnya
+function queueRun(accountId, item, now = new Date()) {
+  const tz = itemTz(accountId, item);
+  let notBefore = now;
+  let requireWindow = false;
+  if (!isNowInWindow(now, item.windowStart, item.windowEnd, tz)) {
+    const waitMs = msUntilWindowStart(now, item.windowStart, item.windowEnd, tz);
+    log(accountId, "DEBUG", `Outside window -> delay`, `id=${item.id} waitMs=${waitMs}`);
+    notBefore = new Date(now.getTime() + waitMs);
+    requireWindow = true;
+  }
+  enqueueSend(accountId, newSendTask(item.id, "run", notBefore, requireWindow));
+}
+
+function isQueued(acc, task) {
+  return acc.sendQueue.includes(task);
+}
+
+function nextSendTask(acc) {
+  // task yang sudah mulai dulu, kecuali sedang ditunda (rate limit)
+  const started = acc.sendQueue.find((t) => t.targets && new Date(t.notBefore).getTime() <= Date.now());
+  if (started) return started;
+  return acc.sendQueue.reduce((a, b) => (new Date(b.notBefore) < new Date(a.notBefore) ? b : a));
+}
+
+// tidur sampai task berikutnya jatuh tempo, dibangunkan lebih awal kalau antrean berubah
+function waitQueue(acc, ms) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      acc.queueWake = null;
+      resolve();
+    };
+    const timer = setTimeout(done, Math.min(ms, 3600_000));
+    acc.queueWake = done;
+  });
+}
+function wakeQueue(acc) {
+  if (acc.queueWake) acc.queueWake();
+}
+
+// task yang dibatalkan lewat API keluar dari acc.sendQueue -> loop berhenti di cek berikutnya
+async function sleepWhileQueued(acc, task, ms) {
+  const until = Date.now() + ms;
+  while (Date.now() < until && isQueued(acc, task)) {
+    await sleep(Math.min(until - Date.now(), 30_000));
+  }
+  return isQueued(acc, task);
+}
+
+function dropTask(acc, task) {
+  const i = acc.sendQueue.indexOf(task);
+  if (i === -1) return;
+  acc.sendQueue.splice(i, 1);
+  // akun sudah dihapus saat task berjalan -> jangan tulis file lagi
+  if (accounts[acc.accountId] === acc) saveSendQueue(acc.accountId);
+}
+
+// belum ready -> antrean berhenti (task tetap di disk), dilanjutkan lagi dari event "ready"
+async function runQueue(accountId) {
+  const acc = ensureAccount(accountId);
+  if (acc.queueRunning) return;
+  acc.queueRunning = true;
+
+  while (acc.sendQueue.length > 0) {
+    const task = nextSendTask(acc);
+    const waitMs = new Date(task.notBefore).getTime() - Date.now();
+    if (waitMs > 0) {
+      await waitQueue(acc, waitMs);
+      continue;
+    }
+
+    if (!acc.ready && !(await waitUntilReady(accountId, 60_000))) {
+      log(accountId, "WARN", `Queue paused: not ready (resume on READY)`, `pending=${acc.sendQueue.length}`);
+      break;
+    }
+    if (!isQueued(acc, task)) continue;
+
+    acc.activeTask = task;
+    let result;
+    try {
+      result = await runSendTask(accountId, task);
+    } catch (e) {
+      log(accountId, "ERROR", "Queue task failed", errToStr(e));
+    }
+    acc.activeTask = null;
+    if (result !== "deferred") dropTask(acc, task); // ditunda rate limit -> tetap di antrean
+  }
+  acc.queueRunning = false;
+}
+
+// cek sebelum run mulai (task baru); task yang sudah jalan sebagian langsung lanjut
+function canStartTask(accountId, task, item) {
+  const id = task.scheduleId;
+  if (!item) return "schedule deleted";
+  if (task.kind === "manual") return null;
+
+  const tz = itemTz(accountId, item);
+  if (item.repeatUntilISO && isValidDateString(item.repeatUntilISO)) {
+    if (Date.now() > parseInZone(item.repeatUntilISO, tz).getTime()) return "repeatUntil passed";
+  }
+  if (typeof item.remainingCount === "number" && item.remainingCount <= 0) return "remainingCount <= 0";
+  if (isPaused(accountId, item)) {
+    log(accountId, "INFO", `Paused while queued -> skip`, `id=${id}`);
+    return "paused";
+  }
+  if (task.requireWindow && !isNowInWindow(new Date(), item.windowStart, item.windowEnd, tz)) return "outside window";
+  return null;
+}
+
+async function runSendTask(accountId, task) {
+  const acc = ensureAccount(accountId);
+  const item = acc.messages.find((m) => m.id === task.scheduleId);
+
+  if (!task.targets) {
+    const reason = canStartTask(accountId, task, item);
+    if (reason) {
+      log(accountId, "INFO", `Queued run dropped`, `id=${task.scheduleId} reason=${reason}`);
+      return;
+    }
+    startSendTask(accountId, task, item);
+    await screenTaskTargets(accountId, task, item);
+  } else {
+    log(accountId, "INFO", `Resume queued run`, `id=${task.scheduleId} remaining=${task.targets.length} sent=${task.sent}`);
+  }
+
+  if ((await sendTargetsPerItem(accountId, task)) === "deferred") return "deferred";
+  if (!isQueued(acc, task)) return;
+
+  if (task.kind === "run") afterSendUpdate(accountId, task.scheduleId);
+}
+
+// target + teks final satu run (dipakai preview / dry-run; spintax bisa beda hasil tiap render)
+function renderRunTargets(accountId, item, at, counter) {
+  const tz = itemTz(accountId, item);
+  return resolveTargets(accountId, item).map((t) => ({
+    target: t.target,
+    chatId: toChatId(t.target),
+    text: renderMessage(t.message, { fields: t.fields, at, counter, tz }),
+    attachments: Array.from(new Set([...(t.attachments || []), ...(item.attachments || [])])),
+  }));
+}
+
+// run mulai: target + teks dibekukan ke task (persist), manual (send-now) -> runCount tidak berubah
+function startSendTask(accountId, task, item) {
+  const int0 = (v) => (Number.isFinite(Number(v)) ? Math.max(0, Math.floor(Number(v))) : null);
+
+  // {counter}: run ke-berapa (persist); send-now pakai nomor run berikutnya tanpa menyimpan
+  const counter = (Number(item.runCount) || 0) + 1;
+  if (task.kind !== "manual") {
+    item.runCount = counter;
+    saveMessages(accountId);
+  }
+
+  const runAt = new Date();
+  task.runISO = runAt.toISOString();
+  task.counter = counter;
+  task.gapSec = int0(item.gapSeconds) ?? 2;
+  task.rMin = int0(item.randomDelayMinSeconds) ?? 0;
+  task.rMax = int0(item.randomDelayMaxSeconds) ?? 0;
+  task.targets = renderRunTargets(accountId, item, runAt, counter).map((t) => ({
+    chatId: t.chatId,
+    text: t.text,
+    attachments: t.attachments,
+  }));
+  saveSendQueue(accountId);
+
+  log(
+    accountId,
+    "INFO",
+    `Start sending item id=${item.id}${task.kind === "manual" ? " (send-now)" : ""}`,
+    `targets=${task.targets.length} run=${counter}`
+  );
+}
+
+// kirim sisa target task satu per satu (gap + jitter), tiap target selesai -> file antrean disimpan
+// return "deferred" kalau target berikutnya kena rate limit (task menunggu di antrean)
+async function sendTargetsPerItem(accountId, task) {
+  const acc = ensureAccount(accountId);
+  const manual = task.kind === "manual";
+
+  while (task.targets.length > 0) {
+    const jitter = task.rMax > 0 || task.rMin > 0 ? randInt(task.rMin, task.rMax) : 0;
+    if (jitter > 0 && !(await sleepWhileQueued(acc, task, jitter * 1000))) return;
+
+    const t = task.targets[0];
+    const item = acc.messages.find((m) => m.id === task.scheduleId);
+    // target membalas (stop on reply) saat run ini masih berjalan
+    const stopped = (item?.stoppedTargets || []).some((x) => x.chatId === t.chatId && x.at >= task.runISO);
+    if (!stopped && deferTaskForRateLimit(accountId, task, t.chatId)) return "deferred";
+    if (task.rateDeferred) task.rateDeferred = undefined;
+    if (!stopped) {
+      const res = await safeSendMessage(accountId, t.chatId, t.text, 3, t.attachments || [], {
+        scheduleId: task.scheduleId,
+        runISO: task.runISO,
+        manual: manual || undefined,
+      });
+      if (!res.ok) log(accountId, "ERROR", `Give up for target`, t.chatId, { scheduleId: task.scheduleId });
+
+      recordDelivery(accountId, {
+        scheduleId: task.scheduleId,
+        runISO: task.runISO,
+        chatId: t.chatId,
+        status: res.ok ? "sent" : "failed",
+        attempts: res.attempts,
+        messageId: res.messageId,
+        error: res.error,
+        manual,
+      });
+      if (res.ok) task.sent = (task.sent || 0) + 1;
+    }
+
+    task.targets.shift();
+    if (!isQueued(acc, task)) return;
+    saveSendQueue(accountId);
+
+    if (task.targets.length > 0 && task.gapSec > 0 && !(await sleepWhileQueued(acc, task, task.gapSec * 1000))) return;
+  }
+
+  log(accountId, "INFO", `Done sending item id=${task.scheduleId}`);
+}
+
+// ringkasan task untuk API (teks dipotong)
+function publicSendTask(acc, task, i) {
+  return {
+    taskId: task.taskId,
+    scheduleId: task.scheduleId,
+    kind: task.kind,
+    position: i,
+    active: acc.activeTask === task,
+    notBefore: task.notBefore,
+    requireWindow: !!task.requireWindow,
+    createdAt: task.createdAt,
+    started: !!task.targets,
+    runISO: task.runISO,
+    counter: task.counter,
+    sent: task.sent || 0,
+    remaining: task.targets
+      ? task.targets.map((t) => ({ chatId: t.chatId, text: String(t.text || "").slice(0, 120), attachments: t.attachments }))
+      : null,
+  };
+}
+
+// batalkan task / satu target (target yang dibatalkan dicatat skipped di ledger kalau run sudah mulai)
+function cancelSendTask(accountId, task, chatId, by) {
+  const acc = ensureAccount(accountId);
+  // target yang sedang dikirim (index 0 task aktif) tidak bisa ditarik lagi
+  const active = acc.activeTask === task;
+  const drop = (task.targets || []).filter((t, i) => (!chatId || t.chatId === chatId) && !(active && i === 0));
+  for (const t of drop) {
+    recordDelivery(accountId, {
+      scheduleId: task.scheduleId,
+      runISO: task.runISO,
+      chatId: t.chatId,
+      status: "skipped",
+      error: `cancelled by ${by}`,
+      manual: task.kind === "manual",
+    });
+  }
+  if (chatId) {
+    task.targets = task.targets.filter((t) => !drop.includes(t));
+  } else {
+    const i = acc.sendQueue.indexOf(task);
+    if (i !== -1) acc.sendQueue.splice(i, 1);
+    if (acc.rateDeferred?.taskId === task.taskId) acc.rateDeferred = null;
+    wakeQueue(acc);
+  }
+  saveSendQueue(accountId);
+  log(accountId, "WARN", `Queue cancel`, `task=${task.taskId} id=${task.scheduleId}${chatId ? ` chatId=${chatId}` : ""} by=${by}`);
+}
+
+// ---------- scheduling ----------
+function afterSendUpdate(accountId, id) {
+  const acc = ensureAccount(accountId);
+  const idx = acc.messages.findIndex((m) => m.id === id);
+  if (idx === -1) return;
+
+  const cur = acc.messages[idx];
+
+  if ((cur.repeatType || "once") === "once") {
+    acc.messages.splice(idx, 1);
+    saveMessages(accountId);
+    try {
+      acc.jobs[id]?.cancel();
+    } catch {}
+    delete acc.jobs[id];
+
+    log(accountId, "INFO", `Once schedule done -> removed`, `id=${id}`);
+    emitEvent(accountId, "schedule.deleted", { id, reason: "completed" });
+    return;
+  }
+
+  if (typeof cur.remainingCount === "number") {
+    cur.remainingCount -= 1;
+    if (cur.remainingCount <= 0) {
+      acc.messages.splice(idx, 1);
+      saveMessages(accountId);
+      try {
+        acc.jobs[id]?.cancel();
+      } catch {}
+      delete acc.jobs[id];
+
+      log(accountId, "INFO", `Repeat count ended -> removed`, `id=${id}`);
+      emitEvent(accountId, "schedule.deleted", { id, reason: "count_exhausted" });
+      return;
+    }
+    saveMessages(accountId);
+    log(accountId, "DEBUG", `RemainingCount updated`, `id=${id} remaining=${cur.remainingCount}`);
+  }
+}
+
+// perkiraan waktu run berikutnya (untuk preview)
+function nextRunDate(accountId, item) {
+  const acc = ensureAccount(accountId);
+  if (item.nextRunISO && isValidDateString(item.nextRunISO)) return new Date(item.nextRunISO);
+  try {
+    const inv = acc.jobs[item.id]?.nextInvocation?.();
+    if (inv) return new Date(inv.getTime ? inv.getTime() : inv);
+  } catch {}
+  return isValidDateString(item.datetimeISO) ? parseInZone(item.datetimeISO, itemTz(accountId, item)) : null;
+}
+
+// ---------- pause / resume ----------
+// item.paused (per jadwal) / settings.paused (per akun): job tetap ada, tick tidak kirim
+function isPaused(accountId, item) {
+  return !!(ensureAccount(accountId).settings.paused || item?.paused);
+}
+
+// dipanggil di awal tick: true = run dilewati (dicatat di skippedRuns)
+function skipIfPaused(accountId, item) {
+  if (!isPaused(accountId, item)) return false;
+  const by = item.paused ? "schedule" : "account";
+  recordSkippedRun(accountId, item, "paused", `${by} paused`);
+  log(accountId, "INFO", `Paused (${by}) -> skip run`, `id=${item.id}`);
+  return true;
+}
+
+// interval: nextRunISO dihitung ulang dari start (computeNextRunFromStart), run yang terlewat tidak dikejar
+function resumeSchedule(accountId, item) {
+  if (String(item.repeatType || "").startsWith("interval_")) item.nextRunISO = undefined;
+  // run selama pause bukan misfire
+  item.lastFireISO = ts();
+  scheduleOne(accountId, item);
+}
+
+function scheduleOne(accountId, item) {
+  const acc = ensureAccount(accountId);
+  const { id, datetimeISO, repeatType = "once", intervalMinutes } = item;
+  if (!isValidDateString(datetimeISO)) return;
+
+  // cancel job lama
+  if (acc.jobs[id]) {
+    try { acc.jobs[id].cancel(); } catch {}
+    delete acc.jobs[id];
+  }
+
+  // run yang digeser karena blackout (persist, survive reboot)
+  if (item.pendingShiftISO && !acc.jobs[`${id}:shift`]) scheduleShiftJob(accountId, item);
+
+  const tz = itemTz(accountId, item);
+  const spec = buildScheduleSpec(datetimeISO, repeatType, intervalMinutes, {
+    cronExpression: item.cronExpression,
+    weekdays: item.weekdays,
+    tz,
+  });
+
+  // ============================
+  // ✅ INTERVAL MODE (start respected + persist nextRunISO)
+  // ============================
+  if (spec.kind === "interval") {
+    // special: interval_months -> fallback pakai cron monthly (biar fitur tetap ada)
+    if (repeatType === "interval_months") {
+      // tiap N bulan di tanggal dom jam:menit:detik
+      const cron = intervalMonthsCron(datetimeISO, spec.value, tz);
+      const job = schedule.scheduleJob({ rule: cron, tz }, () => runTick(accountId, id));
+      acc.jobs[id] = job;
+      log(accountId, "INFO", `Scheduled INTERVAL_MONTHS via cron`, `id=${id} cron=${cron} tz=${tz}`);
+      return;
+    }
+
+    const everyMs = intervalMsFromRepeat(repeatType, spec.value);
+    if (!everyMs) {
+      log(accountId, "ERROR", "Interval type unsupported", String(repeatType));
+      return;
+    }
+
+    // paused: tidak dijadwalkan, nextRunISO disimpan apa adanya (resume -> resumeSchedule)
+    if (isPaused(accountId, item)) {
+      log(accountId, "INFO", `INTERVAL paused -> not scheduled`, `id=${id} next=${item.nextRunISO || "-"}`);
+      return;
+    }
+
+    const next =
+      item.nextRunISO && isValidDateString(item.nextRunISO)
+        ? new Date(item.nextRunISO)
+        : nextIntervalRun(item, everyMs, Date.now(), tz);
+
+    item.nextRunISO = next.toISOString();
+    saveMessages(accountId);
+
+    const job = schedule.scheduleJob(next, async () => {
+      await runTickInterval(accountId, id, everyMs);
+    });
+
+    acc.jobs[id] = job;
+    log(accountId, "INFO", `Scheduled INTERVAL job`, `id=${id} next=${item.nextRunISO}`);
+    return;
+  }
+
+  // ============================
+  // CRON/ONCE
+  // ============================
+  // once yang waktunya sudah lewat: ditangani misfire policy (rescheduleAll) / antrean, bukan job
+  if (spec.kind === "date" && spec.value.getTime() <= Date.now()) {
+    log(accountId, "DEBUG", `Once time passed -> not scheduled`, `id=${id}`);
+    return;
+  }
+
+  const job = schedule.scheduleJob(spec.value, async () => {
+    await runTick(accountId, id);
+  });
+  const specStr = spec.kind === "cron" ? spec.value.rule : spec.value.toISOString();
+  if (!job) {
+    log(accountId, "ERROR", `Schedule spec rejected`, `id=${id} type=${repeatType} spec=${specStr}`);
+    return;
+  }
+
+  acc.jobs[id] = job;
+  log(
+    accountId,
+    "INFO",
+    `Scheduled job`,
+    `id=${id} type=${repeatType} tz=${tz}` + (spec.kind === "cron" ? ` cron=${specStr}` : "")
+  );
+}
+
+// catat run yang dilewati (max 10 terakhir, tampil di UI)
+function recordSkippedRun(accountId, item, reason, detail) {
+  const list = Array.isArray(item.skippedRuns) ? item.skippedRuns : [];
+  list.push({ atISO: ts(), reason, detail: detail || undefined });
+  item.skippedRuns = list.slice(-10);
+  saveMessages(accountId);
+}
+
+function scheduleShiftJob(accountId, item) {
+  const acc = ensureAccount(accountId);
+  const key = `${item.id}:shift`;
+  try { acc.jobs[key]?.cancel(); } catch {}
+  delete acc.jobs[key];
+
+  if (!item.pendingShiftISO || !isValidDateString(item.pendingShiftISO)) return;
+  const at = new Date(item.pendingShiftISO);
+  const id = item.id;
+  const job = schedule.scheduleJob(at > new Date() ? at : new Date(Date.now() + 1000), async () => {
+    delete acc.jobs[key];
+    const cur = acc.messages.find((m) => m.id === id);
+    if (!cur) return;
+    cur.pendingShiftISO = undefined;
+    saveMessages(accountId);
+    // run reguler sudah jalan di hari yang sama (mis. jadwal diubah setelah shift dibuat)
+    const tz = itemTz(accountId, cur);
+    if (cur.lastFireISO && dayKey(new Date(cur.lastFireISO), tz) === dayKey(at, tz)) {
+      log(accountId, "INFO", `Shifted run dropped: regular run already fired that day`, `id=${id}`);
+      return;
+    }
+    log(accountId, "INFO", `Shifted run (blackout) -> send`, `id=${id}`);
+    await runTick(accountId, id, { ignoreBlackout: true });
+  });
+  if (job) acc.jobs[key] = job;
+}
+
+// return: true kalau run boleh lanjut kirim sekarang
+function applyBlackoutPolicy(accountId, item, now) {
+  const d = blackoutDecision(loadBlackout(accountId), item, now, itemTz(accountId, item));
+  if (!d.hit) return true;
+
+  if (d.action === "send") {
+    log(accountId, "INFO", `Blackout day but policy=send -> send anyway`, `id=${item.id} day=${d.label}`);
+    return true;
+  }
+  if (d.action === "merged") {
+    // run reguler berikutnya sudah kirim di hari itu -> gabung, jangan kirim dua kali
+    recordSkippedRun(accountId, item, "blackout-shift-merged", `${d.label} -> ${d.next.toISOString()}`);
+    log(accountId, "WARN", `Blackout day -> shift merged into next regular run`, `id=${item.id} day=${d.label} next=${d.next.toISOString()}`);
+    return false;
+  }
+  if (d.action === "shift") {
+    item.pendingShiftISO = d.to.toISOString();
+    recordSkippedRun(accountId, item, "blackout-shift", `${d.label} -> ${item.pendingShiftISO}`);
+    scheduleShiftJob(accountId, item);
+    log(accountId, "WARN", `Blackout day -> shift run`, `id=${item.id} day=${d.label} to=${item.pendingShiftISO}`);
+    return false;
+  }
+
+  recordSkippedRun(accountId, item, "blackout-skip", d.label);
+  log(accountId, "WARN", `Blackout day -> skip run`, `id=${item.id} day=${d.label}`);
+  return false;
+}
+
+// opts.ignoreBlackout: dipakai run hasil shift
+async function runTick(accountId, id, opts = {}) {
+  const acc = ensureAccount(accountId);
+  try {
+    log(accountId, "DEBUG", `Tick job id=${id}`);
+
+    const idx = acc.messages.findIndex((m) => m.id === id);
+    if (idx === -1) {
+      delete acc.jobs[id];
+      log(accountId, "WARN", `Job tick but item missing -> cancel`, `id=${id}`);
+      return;
+    }
+    const current = acc.messages[idx];
+    const tz = itemTz(accountId, current);
+
+    // reboot safety: run ini dianggap terlewat, ditangani misfire policy saat READY
+    if (!acc.ready) {
+      log(accountId, "WARN", `Tick id=${id} but NOT READY -> missed (misfire policy on READY)`);
+      return;
+    }
+    if (!opts.ignoreBlackout) markFired(accountId, current);
+
+    // until
+    if (current.repeatUntilISO && isValidDateString(current.repeatUntilISO)) {
+      if (Date.now() > parseInZone(current.repeatUntilISO, tz).getTime()) {
+        try { acc.jobs[id]?.cancel(); } catch {}
+        delete acc.jobs[id];
+        acc.messages.splice(idx, 1);
+        saveMessages(accountId);
+        log(accountId, "INFO", `RepeatUntil passed -> removed`, `id=${id}`);
+        emitEvent(accountId, "schedule.deleted", { id, reason: "repeat_until" });
+        return;
+      }
+    }
+
+    // count
+    if (typeof current.remainingCount === "number" && current.remainingCount <= 0) {
+      try { acc.jobs[id]?.cancel(); } catch {}
+      delete acc.jobs[id];
+      acc.messages.splice(idx, 1);
+      saveMessages(accountId);
+      log(accountId, "INFO", `RemainingCount <=0 -> removed`, `id=${id}`);
+      emitEvent(accountId, "schedule.deleted", { id, reason: "count_exhausted" });
+      return;
+    }
+
+    if (skipIfPaused(accountId, current)) return;
+
+    // blackout (libur)
+    const now = new Date();
+    if (!opts.ignoreBlackout && !applyBlackoutPolicy(accountId, current, now)) {
+      if ((current.repeatType || "once") === "once" && !current.pendingShiftISO) {
+        try { acc.jobs[id]?.cancel(); } catch {}
+        delete acc.jobs[id];
+        acc.messages.splice(idx, 1);
+        saveMessages(accountId);
+        log(accountId, "INFO", `Once schedule skipped (blackout) -> removed`, `id=${id}`);
+        emitEvent(accountId, "schedule.deleted", { id, reason: "blackout" });
+      }
+      return;
+    }
+
+    // window check -> antre (persist), di luar window ditunda sampai window buka
+    queueRun(accountId, current, now);
+  } catch (e) {
+    log(accountId, "ERROR", `Job error id=${id}`, errToStr(e));
+  }
+}
+
+async function runTickInterval(accountId, id, everyMs) {
+  const acc = ensureAccount(accountId);
+
+  try {
+    log(accountId, "DEBUG", `Tick INTERVAL job id=${id}`);
+
+    const idx = acc.messages.findIndex((m) => m.id === id);
+    if (idx === -1) {
+      delete acc.jobs[id];
+      log(accountId, "WARN", `Interval tick but item missing -> cancel`, `id=${id}`);
+      return;
+    }
+    const current = acc.messages[idx];
+    const tz = itemTz(accountId, current);
+
+    // until
+    if (current.repeatUntilISO && isValidDateString(current.repeatUntilISO)) {
+      if (Date.now() > parseInZone(current.repeatUntilISO, tz).getTime()) {
+        try { acc.jobs[id]?.cancel(); } catch {}
+        delete acc.jobs[id];
+        acc.messages.splice(idx, 1);
+        saveMessages(accountId);
+        log(accountId, "INFO", `RepeatUntil passed -> removed`, `id=${id}`);
+        emitEvent(accountId, "schedule.deleted", { id, reason: "repeat_until" });
+        return;
+      }
+    }
+
+    // count
+    if (typeof current.remainingCount === "number" && current.remainingCount <= 0) {
+      try { acc.jobs[id]?.cancel(); } catch {}
+      delete acc.jobs[id];
+      acc.messages.splice(idx, 1);
+      saveMessages(accountId);
+      log(accountId, "INFO", `RemainingCount <=0 -> removed`, `id=${id}`);
+      emitEvent(accountId, "schedule.deleted", { id, reason: "count_exhausted" });
+      return;
+    }
+
+    // paused: tidak kirim & tidak dijadwalkan ulang (resume hitung ulang dari start)
+    if (skipIfPaused(accountId, current)) return;
+
+    // belum ready: run ini terlewat (misfire policy saat READY), jadwal berikutnya tetap di grid
+    if (!acc.ready) {
+      log(accountId, "WARN", `INTERVAL tick but NOT READY -> missed (misfire policy on READY)`, `id=${id}`);
+      current.nextRunISO = nextIntervalRun(current, everyMs, Date.now(), tz).toISOString();
+      saveMessages(accountId);
+      scheduleOne(accountId, current);
+      return;
+    }
+    markFired(accountId, current, false);
+
+    // blackout (libur) -> run ini tidak kirim, jadwal berikutnya tetap dihitung
+    const now = new Date();
+    if (!applyBlackoutPolicy(accountId, current, now)) {
+      // skip / shift sudah ditangani
+    } else {
+      // window check -> antre (persist), di luar window ditunda sampai window buka
+      queueRun(accountId, current, now);
+    }
+
+    // schedule NEXT RUN (persist)
+    const stillThere = acc.messages.find((m) => m.id === id);
+    if (!stillThere) return;
+
+    stillThere.nextRunISO = nextIntervalRun(stillThere, everyMs, Date.now(), tz).toISOString();
+    saveMessages(accountId);
+    scheduleOne(accountId, stillThere);
+  } catch (e) {
+    log(accountId, "ERROR", `INTERVAL job error id=${id}`, errToStr(e));
+    const idx3 = acc.messages.findIndex((m) => m.id === id);
+    if (idx3 !== -1) {
+      acc.messages[idx3].nextRunISO = new Date(Date.now() + everyMs).toISOString();
+      saveMessages(accountId);
+      scheduleOne(accountId, acc.messages[idx3]);
+    }
+  }
+}
+
+// ---------- misfire (run terlewat saat server / WA down) ----------
+// item.lastFireISO: waktu tick terakhir yang sudah ditangani (kirim / skip / pause / blackout)
+// run terjadwal di antara lastFireISO .. sekarang = terlewat -> item.misfirePolicy:
+//   skip = catat saja, once = kirim 1x saat pulih, all = kirim semua yang terlewat (max misfireMax)
+const MISFIRE_POLICIES = new Set(["skip", "once", "all"]);
+const DEFAULT_MISFIRE_POLICY = "once";
+const DEFAULT_MISFIRE_MAX = 3;
+const MAX_MISFIRE_MAX = 50;
+
+function normalizeMisfire(policy, max) {
+  const p = String(policy || DEFAULT_MISFIRE_POLICY).toLowerCase();
+  if (!MISFIRE_POLICIES.has(p)) return { error: "misfirePolicy must be skip, once or all" };
+  let n;
+  if (max !== undefined && max !== null && max !== "") {
+    n = Number(max);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_MISFIRE_MAX) {
+      return { error: `misfireMax must be an integer 1-${MAX_MISFIRE_MAX}` };
+    }
+  }
+  return { policy: p, max: n };
+}
+
+// tick jadwal sudah ditangani -> bukan misfire lagi (dipanggil runTick / runTickInterval setelah cek READY)
+// persist=false: caller menyimpan sendiri sesudahnya (interval: nextRunISO). persist cukup lewat store,
+// tanpa push UI / cleanup media seperti saveMessages
+function markFired(accountId, item, persist = true) {
+  item.lastFireISO = ts();
+  item.misfire = undefined;
+  if (persist) storeSaveSchedules(accountId, ensureAccount(accountId).messages);
+}
+
+// waktu run terjadwal yang terlewat (interval: pakai grid dari start, bukan nextRunISO yang bisa sudah digeser)
+function missedRunTimes(accountId, item, nowMs = Date.now()) {
+  const tz = itemTz(accountId, item);
+  const rt = item.repeatType || "once";
+  // jadwal lama tanpa lastFireISO: once = cek dari awal (policy dipaksa skip), berulang = mulai hitung dari sekarang
+  const since = item.lastFireISO ? new Date(item.lastFireISO).getTime() : rt === "once" ? 0 : nowMs;
+  if (!(since < nowMs)) return { times: [], truncated: false };
+
+  const until =
+    item.repeatUntilISO && isValidDateString(item.repeatUntilISO) ? parseInZone(item.repeatUntilISO, tz).getTime() : Infinity;
+  return scheduleOccurrences({ ...item, nextRunISO: undefined }, tz, since + 1, Math.min(nowMs, until));
+}
+
+// dipanggil rescheduleAll (boot + READY). return true kalau jadwal dihapus
+function applyMisfirePolicy(accountId, item) {
+  const acc = ensureAccount(accountId);
+  const id = item.id;
+  const rt = item.repeatType || "once";
+
+  // paused: run yang lewat memang sengaja tidak dikirim
+  if (isPaused(accountId, item)) {
+    if (rt !== "once") item.lastFireISO = ts();
+    return false;
+  }
+
+  // once dari versi sebelum misfire policy: tidak tahu kapan terlewat -> jangan kirim mendadak saat upgrade
+  const legacy = rt === "once" && !item.lastFireISO;
+  const { times, truncated } = missedRunTimes(accountId, item);
+  if (rt !== "once" && !item.lastFireISO) item.lastFireISO = ts();
+  if (times.length === 0) return false;
+
+  // sudah ada di antrean kirim (mis. once yang menunggu window sebelum restart)
+  if (acc.sendQueue.some((t) => t.scheduleId === id)) {
+    item.lastFireISO = ts();
+    return false;
+  }
+
+  const policy = legacy ? "skip" : item.misfirePolicy || DEFAULT_MISFIRE_POLICY;
+  const max = item.misfireMax || DEFAULT_MISFIRE_MAX;
+  const missed = truncated ? `${times.length}+` : String(times.length);
+  const first = new Date(times[0]).toISOString();
+  const last = new Date(times[times.length - 1]).toISOString();
+
+  let runs = policy === "skip" ? 0 : policy === "once" ? 1 : Math.min(times.length, max);
+  if (typeof item.remainingCount === "number") runs = Math.min(runs, item.remainingCount);
+
+  log(
+    accountId,
+    "WARN",
+    `Missed ${missed} run(s) while down -> misfire policy=${policy}`,
+    `id=${id} first=${first} last=${last} runNow=${runs}${legacy ? " legacy=1" : ""}`
+  );
+  recordSkippedRun(accountId, item, "misfire", `${missed} run terlewat (${first} .. ${last}), kirim ulang ${runs}`);
+  item.lastFireISO = ts();
+  item.misfire = { detectedAt: ts(), missed, firstISO: first, lastISO: last, policy, runs };
+
+  const now = new Date();
+  if (runs > 0 && !applyBlackoutPolicy(accountId, item, now)) runs = 0;
+  for (let i = 0; i < runs; i++) queueRun(accountId, item, now);
+
+  // once yang tidak dikirim ulang -> selesai (jangan tertinggal di daftar selamanya)
+  // legacy tetap disimpan (tampil sebagai basi), operator yang putuskan kirim / hapus
+  if (rt === "once" && runs === 0 && !legacy && !item.pendingShiftISO) {
+    acc.messages.splice(acc.messages.indexOf(item), 1);
+    log(accountId, "INFO", `Once schedule missed -> removed`, `id=${id}`);
+    emitEvent(accountId, "schedule.deleted", { id, reason: "misfire" });
+    return true;
+  }
+  return false;
+}
+
+// jadwal "basi": waktu kirim sudah lewat tapi tidak ada job / antrean yang akan mengirim
+function isStaleSchedule(accountId, item, nowMs = Date.now()) {
+  const acc = ensureAccount(accountId);
+  if (isPaused(accountId, item) || acc.sendQueue.some((t) => t.scheduleId === item.id)) return false;
+  if (item.pendingShiftISO) return false;
+  const rt = item.repeatType || "once";
+  if (rt === "once") {
+    return parseInZone(item.datetimeISO, itemTz(accountId, item)).getTime() < nowMs - 60_000;
+  }
+  if (rt.startsWith("interval_") && rt !== "interval_months") {
+    return !!item.nextRunISO && new Date(item.nextRunISO).getTime() < nowMs - 60_000;
+  }
+  return !acc.jobs[item.id] && acc.ready;
+}
+
+function rescheduleAll(accountId) {
+  const acc = ensureAccount(accountId);
+  cancelAllJobs(acc);
+
+  // migrate super old schemas if exist
+  for (const m of acc.messages) {
+    if (m && m.target && !m.targets) {
+      m.targets = [{ target: normalizeTarget(m.target, accountCountryCode(accountId)), message: String(m.message || "") }];
+      m.targetsText = String(m.target);
+      m.defaultMessage = String(m.message || "");
+      delete m.target;
+      delete m.message;
+    }
+    if (m && Array.isArray(m.targets) && !m.targetsText) {
+      m.targetsText = m.targets.map((x) => `${x.target} | ${x.message}`).join("\n");
+    }
+    // pastikan field nextRunISO kalau interval
+    if (m && String(m.repeatType || "").startsWith("interval_") && !m.nextRunISO) {
+      // akan dihitung saat scheduleOne dipanggil
+      m.nextRunISO = undefined;
+    }
+  }
+
+  for (const m of acc.messages.slice()) {
+    if (!m?.id || !Array.isArray(m.targets) || !m?.datetimeISO) continue;
+    if (!isValidDateString(m.datetimeISO)) continue;
+    try {
+      if (applyMisfirePolicy(accountId, m)) continue;
+    } catch (e) {
+      log(accountId, "ERROR", `Misfire check failed`, `id=${m.id} ${errToStr(e)}`);
+    }
+    scheduleOne(accountId, m);
+  }
+
+  saveMessages(accountId);
+  log(accountId, "INFO", `Rescheduled all`, `count=${acc.messages.length}`);
+}
+
+// ---------- UPCOMING (kalender run mendatang, semua akun) ----------
+const UPCOMING_MAX_RANGE_DAYS = 62;
+
+// semua run mendatang satu akun (tanpa ensureAccount: tidak memicu init client)
+function upcomingForAccount(accountId, fromMs, toMs) {
+  const acc = accounts[accountId];
+  const messages = acc ? acc.messages : storeLoadSchedules(accountId);
+  const settings = acc ? acc.settings : loadSettings(accountId);
+  const blackout = loadBlackout(accountId);
+
+  const out = [];
+  const truncated = [];
+  for (const item of messages) {
+    if (!item?.id || !isValidDateString(item.datetimeISO)) continue;
+    const tz = item.timeZone || settings.timeZone || DEFAULT_TZ;
+    const paused = !!(settings.paused || item.paused);
+    const until =
+      item.repeatUntilISO && isValidDateString(item.repeatUntilISO)
+        ? parseInZone(item.repeatUntilISO, tz).getTime()
+        : Infinity;
+
+    const occ = scheduleOccurrences(item, tz, fromMs, Math.min(toMs, until));
+    if (occ.truncated) truncated.push({ accountId, scheduleId: item.id });
+
+    // remainingCount dihitung dari sekarang (run sebelum "from" juga memakai jatah)
+    let times = occ.times;
+    if (typeof item.remainingCount === "number" && (item.repeatType || "once") !== "once") {
+      const before = fromMs > Date.now() ? scheduleOccurrences(item, tz, Date.now(), fromMs - 1).times.length : 0;
+      times = times.slice(0, Math.max(0, item.remainingCount - before));
+    }
+
+    const entries = times.map((t) => ({ at: t, shifted: false }));
+    if (item.pendingShiftISO && isValidDateString(item.pendingShiftISO)) {
+      const t = new Date(item.pendingShiftISO).getTime();
+      if (t >= fromMs && t <= toMs) entries.push({ at: t, shifted: true });
+    }
+
+    const targets = resolveTargets(accountId, item);
+    for (const e of entries) {
+      const runAt = new Date(e.at);
+      const delay = msUntilWindowStart(runAt, item.windowStart, item.windowEnd, tz);
+      const key = dayKey(runAt, tz);
+      const hit = e.shifted ? null : blackout.find((b) => b.start <= key && key <= (b.end || b.start));
+      out.push({
+        accountId,
+        scheduleId: item.id,
+        runAt: runAt.toISOString(),
+        sendAt: new Date(e.at + delay).toISOString(),
+        windowDelayed: delay > 0,
+        shifted: e.shifted || undefined,
+        timeZone: tz,
+        repeatType: item.repeatType || "once",
+        targetsCount: targets.length,
+        message: String(targets[0]?.message || item.defaultMessage || "").slice(0, 120),
+        paused: paused || undefined,
+        blackout: hit ? { label: hit.label || hit.start, policy: item.blackoutPolicy || "skip" } : undefined,
+      });
+    }
+  }
+  return { occurrences: out, truncated };
+}
+
+// ---------- BACKUP (export / import bundle akun + backup harian) ----------
+// bundle = gzip JSON lines, ditulis / dibaca streaming (profil Chromium bisa ratusan MB):
+//   baris 1 : manifest { format, version, accountId, exportedAt, data: { jadwal, recent, daftar kontak, settings,
+//             libur, auto reply, webhook }, media: [meta], session: bool }
+//   lalu    : { kind: "media" | "session", path, data } potongan file (base64, file besar = beberapa baris)
+//   terakhir: { kind: "end", files } -> bundle terpotong ketahuan
+// session LocalAuth (.wwebjs_auth) opsional -> pindah VPS tanpa scan QR ulang.
+// antrean kirim & riwayat delivery tidak ikut (run yang terlewat ditangani misfire policy saat import)
+const BUNDLE_FORMAT = "wa-scheduler-account";
+const BUNDLE_VERSION = 2; // v1 = satu JSON dengan file base64 inline (masih bisa di-import kalau kecil)
+const BUNDLE_MAX_BYTES = Number(process.env.BUNDLE_MAX_BYTES || 256 * 1024 * 1024); // upload & hasil gunzip
+const BUNDLE_MAX_LINE_BYTES = 64 * 1024 * 1024; // manifest / bundle v1
+const BUNDLE_CHUNK_BYTES = 512 * 1024;
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, "backups");
+const BACKUP_TIME = process.env.BACKUP_TIME || "02:30"; // HH:mm zona server, "off" = mati
+const BACKUP_RETENTION_DAYS = Number(process.env.BACKUP_RETENTION_DAYS || 7);
+// session = akses penuh ke nomor WA -> backup harian tanpa session kecuali diminta
+const BACKUP_SESSION = process.env.BACKUP_SESSION === "1";
+// cache Chromium: besar & dibuat ulang otomatis
+const SESSION_SKIP_DIRS = new Set(["Cache", "Code Cache", "GPUCache", "DawnCache", "GrShaderCache", "ShaderCache", "CacheStorage", "Crashpad"]);
+const ACCOUNT_ID_RE = /^[\w.-]{1,64}$/;
+
+// error import dengan status HTTP (400 bundle invalid, 409 akun sudah ada)
+function bundleError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// file biasa di folder session (relatif, pemisah "/"), symlink / lock Chromium dilewati
+async function listSessionFiles(dir, rel = "") {
+  const out = [];
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(path.join(dir, rel), { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const e of entries) {
+    const relPath = rel ? `${rel}/${e.name}` : e.name;
+    if (e.isDirectory()) {
+      if (!SESSION_SKIP_DIRS.has(e.name)) out.push(...(await listSessionFiles(dir, relPath)));
+    } else if (e.isFile() && !e.name.startsWith("Singleton")) {
+      out.push(relPath);
+    }
+  }
+  return out;
+}
+
+// tulis 1 baris ke stream (ikut backpressure)
+async function writeBundleLine(out, rec) {
+  if (!out.write(JSON.stringify(rec) + "\n")) await once(out, "drain");
+}
+
+// file -> baris potongan base64; return false kalau file sudah hilang sebelum dibaca (Chromium bisa menghapus)
+async function writeBundleFile(out, kind, relPath, absPath) {
+  let wrote = false;
+  try {
+    for await (const chunk of fs.createReadStream(absPath, { highWaterMark: BUNDLE_CHUNK_BYTES })) {
+      await writeBundleLine(out, { kind, path: relPath, data: chunk.toString("base64") });
+      wrote = true;
+    }
+  } catch (e) {
+    if (!wrote && e.code === "ENOENT") return false;
+    throw e;
+  }
+  if (!wrote) await writeBundleLine(out, { kind, path: relPath, data: "" }); // file kosong tetap dibuat
+  return true;
+}
+
+// bundle (gzip) ke stream tujuan (response / file); return { files }
+async function writeAccountBundle(accountId, includeSession, dest) {
+  const acc = accounts[accountId];
+  const media = loadMedia(accountId).filter((m) => fs.existsSync(path.join(mediaDir(accountId), m.file)));
+  const sessionDir = accountSessionDir(accountId);
+  const sessionFiles = includeSession ? await listSessionFiles(sessionDir) : [];
+
+  const gz = zlib.createGzip();
+  const done = pipeline(gz, dest);
+  let files = 0;
+  try {
+    await writeBundleLine(gz, {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      accountId,
+      exportedAt: ts(),
+      data: {
+        schedules: acc ? acc.messages : storeLoadSchedules(accountId),
+        recent: loadRecent(accountId),
+        lists: loadLists(accountId),
+        settings: acc ? acc.settings : loadSettings(accountId),
+        blackout: loadBlackout(accountId),
+        autoReplies: loadAutoReplies(accountId),
+        webhooks: loadWebhooks(accountId),
+      },
+      media,
+      session: includeSession,
+    });
+    for (const m of media) {
+      if (await writeBundleFile(gz, "media", m.file, path.join(mediaDir(accountId), m.file))) files++;
+    }
+    for (const rel of sessionFiles) {
+      if (await writeBundleFile(gz, "session", rel, path.join(sessionDir, ...rel.split("/")))) files++;
+    }
+    await writeBundleLine(gz, { kind: "end", files });
+    gz.end();
+  } catch (e) {
+    gz.destroy(e);
+  }
+  await done;
+  return { files };
+}
+
+// upload gzip -> baris teks; batas ukuran upload + hasil gunzip (anti gzip bomb) + panjang baris
+async function* readBundleLines(req) {
+  const gunzip = zlib.createGunzip({ chunkSize: 64 * 1024 });
+  let inBytes = 0;
+  req.on("data", (c) => {
+    inBytes += c.length;
+    if (inBytes > BUNDLE_MAX_BYTES) gunzip.destroy(bundleError(413, `bundle larger than ${BUNDLE_MAX_BYTES} bytes`));
+  });
+  req.on("error", (e) => gunzip.destroy(e));
+  req.pipe(gunzip);
+
+  const decoder = new StringDecoder("utf8");
+  let outBytes = 0;
+  let pending = "";
+  try {
+    for await (const chunk of gunzip) {
+      outBytes += chunk.length;
+      if (outBytes > BUNDLE_MAX_BYTES) throw bundleError(413, `bundle larger than ${BUNDLE_MAX_BYTES} bytes (uncompressed)`);
+      const text = decoder.write(chunk);
+      let start = 0;
+      let i;
+      while ((i = text.indexOf("\n", start)) !== -1) {
+        yield pending + text.slice(start, i);
+        pending = "";
+        start = i + 1;
+      }
+      pending += text.slice(start);
+      if (pending.length > BUNDLE_MAX_LINE_BYTES) throw bundleError(413, "bundle line too long");
+    }
+  } catch (e) {
+    if (e.status) throw e;
+    throw bundleError(400, `bundle is not valid gzip: ${e.message}`);
+  } finally {
+    req.unpipe(gunzip);
+    req.resume(); // sisa upload dibuang
+  }
+  pending += decoder.end();
+  if (pending.trim()) yield pending;
+}
+
+// baris -> record; bundle v1 (satu JSON, file base64 inline) diubah ke bentuk record v2
+async function* bundleRecords(lines) {
+  let first = true;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      throw bundleError(400, "bundle is not valid JSON lines");
+    }
+    if (first && rec?.version === 1) {
+      yield* legacyBundleRecords(rec);
+      return;
+    }
+    first = false;
+    yield rec;
+  }
+}
+
+function* legacyBundleRecords(b) {
+  const media = Array.isArray(b.media) ? b.media : [];
+  const session = Array.isArray(b.session) ? b.session : [];
+  yield {
+    ...b,
+    media: Array.isArray(b.media) ? media.map((m) => (isPlainObject(m) ? { ...m, data: undefined } : m)) : b.media,
+    session: b.session == null ? false : Array.isArray(b.session) ? session.length > 0 : b.session,
+  };
+  for (const m of media) yield { kind: "media", path: m?.file, data: m?.data };
+  for (const f of session) yield { kind: "session", path: f?.path, data: f?.data };
+  yield { kind: "end" };
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function isSafeRelPath(p) {
+  const s = String(p || "");
+  return !!s && !s.startsWith("/") && !s.includes("\\") && s.split("/").every((x) => x && x !== "." && x !== "..");
+}
+
+// manifest (baris pertama); return pesan error pertama, null = valid
+function validateAccountBundle(b) {
+  if (!isPlainObject(b)) return "bundle must be a JSON object";
+  if (b.format !== BUNDLE_FORMAT) return `format must be "${BUNDLE_FORMAT}"`;
+  if (!Number.isInteger(b.version) || b.version > BUNDLE_VERSION) return `unsupported bundle version ${b.version}`;
+  if (!isPlainObject(b.data)) return "data must be an object";
+
+  const d = b.data;
+  if (!Array.isArray(d.schedules)) return "data.schedules must be an array";
+  const ids = new Set();
+  for (const [i, s] of d.schedules.entries()) {
+    if (!isPlainObject(s)) return `data.schedules[${i}] must be an object`;
+    if (!Number.isFinite(s.id) || ids.has(s.id)) return `data.schedules[${i}].id missing or duplicate`;
+    ids.add(s.id);
+    if (!Array.isArray(s.targets) || s.targets.some((t) => !isPlainObject(t) || !t.target)) {
+      return `data.schedules[${i}].targets must be an array of { target, message }`;
+    }
+    if (!isValidDateString(s.datetimeISO)) return `data.schedules[${i}].datetimeISO invalid`;
+    if (s.repeatType && !REPEAT_TYPES.has(s.repeatType)) return `data.schedules[${i}].repeatType invalid`;
+    if (s.timeZone && !isValidTimeZone(s.timeZone)) return `data.schedules[${i}].timeZone invalid`;
+  }
+
+  if (d.recent != null && (!isPlainObject(d.recent) || !Array.isArray(d.recent.targets || []) || !Array.isArray(d.recent.messages || []))) {
+    return "data.recent must be { targets: [], messages: [] }";
+  }
+  if (d.settings != null && !isPlainObject(d.settings)) return "data.settings must be an object";
+  if (d.settings?.timeZone && !isValidTimeZone(d.settings.timeZone)) return "data.settings.timeZone invalid";
+  for (const key of ["lists", "blackout", "autoReplies", "webhooks"]) {
+    if (d[key] != null && (!Array.isArray(d[key]) || d[key].some((x) => !isPlainObject(x)))) {
+      return `data.${key} must be an array of objects`;
+    }
+  }
+  for (const [i, l] of (d.lists || []).entries()) {
+    if (!isValidListName(l.name) || !Array.isArray(l.members)) return `data.lists[${i}] must be { name, members: [] }`;
+  }
+
+  if (b.media != null && !Array.isArray(b.media)) return "media must be an array";
+  for (const [i, m] of (b.media || []).entries()) {
+    if (!isPlainObject(m) || !m.id) return `media[${i}] must have id`;
+    if (!m.file || !isSafeRelPath(m.file) || path.basename(String(m.file)) !== String(m.file)) return `media[${i}].file invalid`;
+  }
+  if (typeof b.session !== "boolean") return "session must be true or false";
+  return null;
+}
+
+// potongan file -> folder staging; return pesan error, null = ok
+function bundleFileError(rec, manifest, mediaFiles) {
+  if (typeof rec.data !== "string") return `${rec.kind} ${rec.path}: data must be base64`;
+  if (rec.kind === "media") return mediaFiles.has(rec.path) ? null : `media file not in manifest: ${rec.path}`;
+  if (!manifest.session) return "session file in bundle without session: true";
+  return isSafeRelPath(rec.path) ? null : `session path invalid: ${rec.path}`;
+}
+
+function accountExists(accountId) {
+  return (
+    !!accounts[accountId] ||
+    listAccountIdsFromDisk().includes(accountId) ||
+    fs.existsSync(settingsFile(accountId)) ||
+    fs.existsSync(accountSessionDir(accountId))
+  );
+}
+
+// file akun hasil restore yang setengah jadi -> dibuang (import bisa diulang, tidak 409)
+function discardRestoredAccount(accountId) {
+  removeDirSafe(accountSessionDir(accountId));
+  removeDirSafe(mediaDir(accountId));
+  storeDeleteAccount(accountId);
+  for (const file of [mediaIndexFile, listsFile, blackoutFile, autoRepliesFile, webhooksFile, settingsFile]) {
+    try { fs.unlinkSync(file(accountId)); } catch {}
+  }
+}
+
+// record: manifest, potongan file, end. Semua divalidasi & ditulis ke staging dulu,
+// baru dipindah ke tempatnya (rename) kalau lengkap; gagal di tengah = tidak ada yang tersisa
+async function importAccountBundle(records, accountIdParam) {
+  const it = records[Symbol.asyncIterator]();
+  const { value: manifest } = await it.next();
+  const err = validateAccountBundle(manifest);
+  if (err) throw bundleError(400, `invalid bundle: ${err}`);
+
+  const accountId = String(accountIdParam || manifest.accountId || "").trim();
+  if (!ACCOUNT_ID_RE.test(accountId) || accountId === "import") {
+    throw bundleError(400, "accountId invalid (huruf, angka, _ . - max 64)");
+  }
+  const existsError = () => bundleError(409, `account ${accountId} already exists (hapus dulu atau import dengan accountId lain)`);
+  if (accountExists(accountId)) throw existsError();
+
+  const mediaFiles = new Set((manifest.media || []).map((m) => m.file));
+  const staging = await fs.promises.mkdtemp(path.join(DATA_DIR, ".import-"));
+  try {
+    let ended = false;
+    const written = new Set();
+    for (let r = await it.next(); !r.done; r = await it.next()) {
+      const rec = r.value;
+      if (rec?.kind === "end") {
+        ended = true;
+        break;
+      }
+      if (!isPlainObject(rec) || (rec.kind !== "media" && rec.kind !== "session")) throw bundleError(400, "invalid bundle record");
+      const fileErr = bundleFileError(rec, manifest, mediaFiles);
+      if (fileErr) throw bundleError(400, `invalid bundle: ${fileErr}`);
+
+      const file = path.join(staging, rec.kind, ...rec.path.split("/"));
+      if (!written.has(file)) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        written.add(file);
+      }
+      await fs.promises.appendFile(file, Buffer.from(rec.data, "base64"));
+    }
+    if (!ended) throw bundleError(400, "invalid bundle: truncated (no end record)");
+    for (const f of mediaFiles) {
+      if (!written.has(path.join(staging, "media", f))) throw bundleError(400, `invalid bundle: media file missing: ${f}`);
+    }
+
+    if (accountExists(accountId)) throw existsError(); // import paralel dengan id sama
+    try {
+      restoreAccountBundle(accountId, manifest, staging);
+    } catch (e) {
+      discardRestoredAccount(accountId);
+      throw e;
+    }
+  } finally {
+    removeDirSafe(staging);
+  }
+
+  // client baru pakai session hasil restore (kalau ada), lalu jadwal + misfire policy
+  ensureAccount(accountId);
+  rescheduleAll(accountId);
+
+  return {
+    accountId,
+    from: manifest.accountId,
+    exportedAt: manifest.exportedAt,
+    schedules: manifest.data.schedules.length,
+    lists: (manifest.data.lists || []).length,
+    media: mediaFiles.size,
+    session: fs.existsSync(accountSessionDir(accountId)),
+  };
+}
+
+// manifest sudah divalidasi, file ada di staging; akun tujuan belum ada
+function restoreAccountBundle(accountId, b, staging) {
+  const d = b.data;
+
+  if (fs.existsSync(path.join(staging, "session"))) {
+    fs.mkdirSync(path.dirname(accountSessionDir(accountId)), { recursive: true });
+    fs.renameSync(path.join(staging, "session"), accountSessionDir(accountId));
+  }
+
+  if (b.media?.length) {
+    fs.mkdirSync(path.dirname(mediaDir(accountId)), { recursive: true });
+    fs.renameSync(path.join(staging, "media"), mediaDir(accountId));
+    saveMedia(accountId, b.media);
+  }
+
+  if (d.lists) saveLists(accountId, d.lists);
+  if (d.blackout) saveBlackout(accountId, d.blackout);
+  // bukan saveAutoReplies(): cleanup lampiran di sana akan memuat akun sebelum jadwal ada
+  if (d.autoReplies) atomicWriteJson(autoRepliesFile(accountId), d.autoReplies);
+  if (d.webhooks) saveWebhooks(accountId, d.webhooks);
+  if (d.settings) atomicWriteJson(settingsFile(accountId), d.settings);
+  if (d.recent) storeSaveRecent(accountId, { targets: d.recent.targets || [], messages: d.recent.messages || [] });
+  storeSaveSchedules(accountId, d.schedules);
+}
+
+async function writeBackup(accountId) {
+  const stamp = ts().slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+  const file = path.join(BACKUP_DIR, `wa-${accountId}-${stamp}.jsonl.gz`);
+  try {
+    await writeAccountBundle(accountId, BACKUP_SESSION, fs.createWriteStream(file + ".tmp"));
+    fs.renameSync(file + ".tmp", file);
+  } catch (e) {
+    try { fs.unlinkSync(file + ".tmp"); } catch {}
+    throw e;
+  }
+  return { file, bytes: fs.statSync(file).size };
+}
+
+function pruneBackups() {
+  const cutoff = Date.now() - BACKUP_RETENTION_DAYS * 24 * 3600 * 1000;
+  let removed = 0;
+  for (const f of fs.readdirSync(BACKUP_DIR)) {
+    if (!/^wa-.+\.jsonl?\.gz$/.test(f)) continue;
+    try {
+      if (fs.statSync(path.join(BACKUP_DIR, f)).mtimeMs < cutoff) {
+        fs.unlinkSync(path.join(BACKUP_DIR, f));
+        removed++;
+      }
+    } catch {}
+  }
+  return removed;
+}
+
+// satu akun gagal tidak menghentikan backup akun lain
+async function backupAllAccounts() {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const ids = Array.from(new Set([...listAccountIdsFromDisk(), ...Object.keys(accounts)]));
+  const results = [];
+  for (const id of ids) {
+    try {
+      const r = await writeBackup(id);
+      log(id, "INFO", "Backup written", `file=${path.basename(r.file)} bytes=${r.bytes}`);
+      results.push({ accountId: id, file: path.basename(r.file), bytes: r.bytes });
+    } catch (e) {
+      log(id, "ERROR", "Backup failed", errToStr(e));
+      results.push({ accountId: id, error: e.message });
+    }
+  }
+  const removed = pruneBackups();
+  console.log(`[BACKUP] ${results.length} account(s) -> ${BACKUP_DIR}, ${removed} old backup(s) removed`);
+  return { dir: BACKUP_DIR, results, removed };
+}
+
+function scheduleNightlyBackup() {
+  if (BACKUP_TIME === "off") return console.log("[BACKUP] Nightly backup disabled (BACKUP_TIME=off)");
+  const m = BACKUP_TIME.match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) {
+    return console.log(`[BACKUP] BACKUP_TIME invalid (${BACKUP_TIME}), nightly backup disabled`);
+  }
+  schedule.scheduleJob(`${Number(m[2])} ${Number(m[1])} * * *`, () => {
+    backupAllAccounts().catch((e) => console.log("[BACKUP] failed:", errToStr(e)));
+  });
+  console.log(`[BACKUP] Nightly backup ${BACKUP_TIME} -> ${BACKUP_DIR} (retention ${BACKUP_RETENTION_DAYS} days)`);
+}
+
+// ---------- AUTH (users + role, session login, API token) ----------
+// users.json: [{ username, role, accounts, passwordHash, tokens:[{ id, label, hash, createdAt, lastUsedAt }] }]
+// role: admin (semua), operator (kelola jadwal akun yang di-assign), viewer (read-only)
+const USERS_FILE = path.join(DATA_DIR, "users.json");
+const ROLES = new Set(["admin", "operator", "viewer"]);
+const SESSION_COOKIE = "wa_session";
+const SESSION_TTL_MS = 7 * 24 * 3600 * 1000;
+const sessions = new Map(); // sid -> { username, expiresAt } (in-memory: restart = login ulang)
+
+function loadUsers() {
+  return loadJsonArraySafe(USERS_FILE).filter((u) => u && u.username && ROLES.has(u.role));
+}
+function saveUsers(users) {
+  atomicWriteJson(USERS_FILE, users);
+}
+function isValidUsername(name) {
+  return /^[\w.-]{3,32}$/.test(String(name || ""));
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+function verifyPassword(password, stored) {
+  const [algo, salt, hash] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !salt || !hash) return false;
+  const a = Buffer.from(hash, "hex");
+  const b = crypto.scryptSync(String(password || ""), salt, a.length);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+function passwordError(password) {
+  if (typeof password !== "string" || password.length < 8) return "password minimal 8 karakter";
+  return null;
+}
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+// data user yang aman dikirim ke client (tanpa hash)
+function publicUser(u) {
+  return {
+    username: u.username,
+    role: u.role,
+    accounts: u.role === "admin" ? [] : (u.accounts || []),
+    tokens: (u.tokens || []).map((t) => ({
+      id: t.id, label: t.label, createdAt: t.createdAt, lastUsedAt: t.lastUsedAt || null,
+    })),
+  };
+}
+
+// accounts kosong untuk viewer = boleh lihat semua akun; operator wajib di-assign
+function canAccessAccount(user, accountId) {
+  if (user.role === "admin") return true;
+  const list = Array.isArray(user.accounts) ? user.accounts : [];
+  if (user.role === "viewer" && !list.length) return true;
+  return list.includes(accountId);
+}
+
+function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (!k) continue;
+    try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch {}
+  }
+  return out;
+}
+
+function createSession(res, username) {
+  const sid = crypto.randomBytes(32).toString("hex");
+  sessions.set(sid, { username, expiresAt: Date.now() + SESSION_TTL_MS });
+  res.setHeader(
+    "Set-Cookie",
+    `${SESSION_COOKIE}=${sid}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`
+  );
+}
+function clearSession(req, res) {
+  const sid = parseCookies(req)[SESSION_COOKIE];
+  if (sid) sessions.delete(sid);
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`);
+}
+
+// cari user dari header Authorization: Bearer <token> atau cookie session
+function userFromRequest(req) {
+  const auth = String(req.headers.authorization || "");
+  const m = auth.match(/^Bearer\s+(\S+)$/i);
+  if (m) {
+    const users = loadUsers();
+    const h = sha256(m[1]);
+    for (const u of users) {
+      const t = (u.tokens || []).find((x) => x.hash === h);
+      if (!t) continue;
+      // lastUsedAt cukup presisi per menit (hemat tulis file)
+      if (!t.lastUsedAt || Date.now() - Date.parse(t.lastUsedAt) > 60 * 1000) {
+        t.lastUsedAt = ts();
+        saveUsers(users);
+      }
+      return { user: u, via: "token" };
+    }
+    return null;
+  }
+
+  const sid = parseCookies(req)[SESSION_COOKIE];
+  const s = sid ? sessions.get(sid) : null;
+  if (!s) return null;
+  if (s.expiresAt < Date.now()) {
+    sessions.delete(sid);
+    return null;
+  }
+  const u = loadUsers().find((x) => x.username === s.username);
+  if (!u) {
+    sessions.delete(sid);
+    return null;
+  }
+  return { user: u, via: "session" };
+}
+
+// route di bawah /accounts/:accountId yang boleh ditulis operator (kelola jadwal)
+const OPERATOR_WRITE_RE = /^\/accounts\/[^/]+\/(messages|media|lists|import|blackout|recent|autoreplies|pause|resume|queue)(\/|$)/;
+
+// return null kalau boleh, atau alasan ditolak
+// path rule dicocokkan lowercase (cadangan kalau ada route yang tidak case sensitive);
+// akses akun juga dicek lagi per route lewat app.param("accountId")
+function authorize(user, method, rawPath) {
+  if (user.role === "admin") return null;
+  const urlPath = rawPath.toLowerCase();
+  if (urlPath.startsWith("/auth/users")) return "admin only";
+  if (urlPath.startsWith("/auth/")) return null; // akun sendiri: me, logout, password, tokens
+
+  // import = buat akun baru (bisa berisi session WA)
+  if (/^\/accounts\/import\/?$/.test(urlPath)) return "admin only";
+
+  const m = rawPath.match(/^\/accounts\/([^/]+)/i);
+  if (m) {
+    let accountId = m[1];
+    try { accountId = decodeURIComponent(accountId); } catch {}
+    if (!canAccessAccount(user, accountId)) return `no access to account ${accountId}`;
+    // QR = bisa link device baru -> admin only
+    if (/^\/accounts\/[^/]+\/qr\/?$/.test(urlPath)) return "admin only";
+    // export berisi secret webhook + (opsional) session WA
+    if (/^\/accounts\/[^/]+\/export\/?$/.test(urlPath)) return "admin only";
+  }
+
+  if (method === "GET" || method === "HEAD") return null;
+  if (user.role === "operator" && OPERATOR_WRITE_RE.test(urlPath)) return null;
+  return `role ${user.role} is not allowed to ${method} ${urlPath}`;
+}
+
+const AUTH_PUBLIC_PATHS = new Set(["/health", "/auth/login", "/auth/setup", "/auth/status"]);
+
+function requireAuth(req, res, next) {
+  if (AUTH_PUBLIC_PATHS.has(req.path)) return next();
+
+  const found = userFromRequest(req);
+  if (!found) {
+    const setupRequired = loadUsers().length === 0;
+    return res.status(401).json({ error: "login required", setupRequired });
+  }
+
+  const denied = authorize(found.user, req.method, req.path);
+  if (denied) return res.status(403).json({ error: `forbidden: ${denied}` });
+
+  req.user = found.user;
+  req.authVia = found.via;
+  next();
+}
+
+// semua route /accounts/:accountId/... -> user wajib punya akses ke akun itu, dan akunnya harus sudah ada:
+// ensureAccount di route = buat akun + start Chromium, jadi hanya POST /init (admin) yang boleh membuat akun
+function checkAccountParam(req, res, next, accountId) {
+  if (req.user && !canAccessAccount(req.user, String(accountId))) {
+    return res.status(403).json({ error: `forbidden: no access to account ${accountId}` });
+  }
+  const creating = req.method === "POST" && /^\/accounts\/[^/]+\/init\/?$/.test(req.path);
+  if (!creating && !accounts[accountId]) return res.status(404).json({ error: "account not found" });
+  next();
+}
+
+// admin pertama dari env (ADMIN_USER / ADMIN_PASSWORD) kalau users.json masih kosong
+// tanpa env: /auth/setup wajib setupToken sekali pakai yang dicetak di console (bukan siapa cepat dia dapat)
+let setupToken = null;
+
+function bootstrapAdminFromEnv() {
+  if (loadUsers().length) return;
+  const username = process.env.ADMIN_USER;
+  const password = process.env.ADMIN_PASSWORD;
+  if (username && password) {
+    if (isValidUsername(username) && !passwordError(password)) {
+      saveUsers([{ username, role: "admin", accounts: [], passwordHash: hashPassword(password), tokens: [] }]);
+      console.log(`[AUTH] Admin user created from env: ${username}`);
+      return;
+    }
+    console.log("[AUTH] ADMIN_USER / ADMIN_PASSWORD invalid, skip bootstrap admin");
+  }
+  setupToken = crypto.randomBytes(12).toString("hex");
+  console.log(`[AUTH] No users yet. Setup token (isi di form Setup Admin): ${setupToken}`);
+}
+bootstrapAdminFromEnv();
+
+function setupTokenOk(token) {
+  if (!setupToken) return false;
+  const a = Buffer.from(String(token || ""));
+  const b = Buffer.from(setupToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// operator/viewer hanya boleh accountId yang valid (string, tanpa duplikat)
+function normalizeAccountList(v) {
+  const arr = Array.isArray(v) ? v : String(v || "").split(/[,\s]+/);
+  return Array.from(new Set(arr.map((x) => String(x).trim()).filter(Boolean)));
+}
+
+// ---------- Routes ----------
+app.get("/", (req, res) => res.sendFile(path.join(__dirname, "public", "index.html")));
+
+// ✅ semua route di bawah ini wajib login (kecuali AUTH_PUBLIC_PATHS)
+app.use(requireAuth);
+app.param("accountId", checkAccountParam);
+
+// ----- AUTH endpoints -----
+const LOGIN_MAX_FAIL = 5;
+const LOGIN_LOCK_MS = 5 * 60 * 1000;
+const loginFailures = new Map(); // ip -> { count, lockedUntil }
+
+app.get("/auth/status", (req, res) => {
+  const found = userFromRequest(req);
+  res.json({
+    setupRequired: loadUsers().length === 0,
+    user: found ? publicUser(found.user) : null,
+  });
+});
+
+// setup admin pertama (hanya kalau belum ada user sama sekali)
+app.post("/auth/setup", (req, res) => {
+  if (loadUsers().length) return res.status(409).json({ error: "setup already done" });
+  const { username, password } = req.body || {};
+  if (!setupTokenOk(req.body?.setupToken)) {
+    console.log(`[AUTH] Setup rejected (wrong setup token) from ${req.ip || ""}`);
+    return res.status(403).json({ error: "setup token salah (lihat console / pm2 logs server)" });
+  }
+  if (!isValidUsername(username)) return res.status(400).json({ error: "username 3-32 karakter (huruf/angka/._-)" });
+  const pwErr = passwordError(password);
+  if (pwErr) return res.status(400).json({ error: pwErr });
+
+  saveUsers([{ username, role: "admin", accounts: [], passwordHash: hashPassword(password), tokens: [] }]);
+  setupToken = null;
+  console.log(`[AUTH] Setup admin: ${username}`);
+  createSession(res, username);
+  res.json({ ok: true, user: { username, role: "admin", accounts: [], tokens: [] } });
+});
+
+app.post("/auth/login", (req, res) => {
+  const ip = req.ip || "";
+  const f = loginFailures.get(ip);
+  if (f && f.lockedUntil > Date.now()) {
+    return res.status(429).json({ error: "terlalu banyak percobaan login, coba lagi nanti" });
+  }
+
+  const { username, password } = req.body || {};
+  const u = loadUsers().find((x) => x.username === String(username || ""));
+  if (!u || !verifyPassword(password, u.passwordHash)) {
+    const prev = f && f.lockedUntil && f.lockedUntil <= Date.now() ? null : f; // lock sudah lewat -> hitung ulang
+    const count = (prev?.count || 0) + 1;
+    loginFailures.set(ip, { count, lockedUntil: count >= LOGIN_MAX_FAIL ? Date.now() + LOGIN_LOCK_MS : 0 });
+    console.log(`[AUTH] Login failed: ${String(username || "")} from ${ip}`);
+    return res.status(401).json({ error: "username atau password salah" });
+  }
+
+  loginFailures.delete(ip);
+  createSession(res, u.username);
+  console.log(`[AUTH] Login: ${u.username} from ${ip}`);
+  res.json({ ok: true, user: publicUser(u) });
+});
+
+app.post("/auth/logout", (req, res) => {
+  clearSession(req, res);
+  res.json({ ok: true });
+});
+
+app.get("/auth/me", (req, res) => {
+  res.json(publicUser(req.user));
+});
+
+// body: { currentPassword, newPassword }
+app.post("/auth/password", (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const users = loadUsers();
+  const u = users.find((x) => x.username === req.user.username);
+  if (!u || !verifyPassword(currentPassword, u.passwordHash)) {
+    return res.status(400).json({ error: "password lama salah" });
+  }
+  const pwErr = passwordError(newPassword);
+  if (pwErr) return res.status(400).json({ error: pwErr });
+
+  u.passwordHash = hashPassword(newPassword);
+  saveUsers(users);
+
+  // session lain milik user ini ikut logout
+  for (const [sid, s] of sessions) {
+    if (s.username === u.username) sessions.delete(sid);
+  }
+  createSession(res, u.username);
+  res.json({ ok: true });
+});
+
+// ----- API TOKEN (milik user yang login) -----
+app.get("/auth/tokens", (req, res) => {
+  res.json(publicUser(req.user).tokens);
+});
+
+// body: { label } -> token plain hanya dikembalikan sekali
+app.post("/auth/tokens", (req, res) => {
+  const label = String(req.body?.label || "").trim().slice(0, 50) || "api";
+  const users = loadUsers();
+  const u = users.find((x) => x.username === req.user.username);
+  if (!u) return res.status(404).json({ error: "user not found" });
+
+  const token = `wat_${crypto.randomBytes(24).toString("hex")}`;
+  const entry = { id: crypto.randomBytes(6).toString("hex"), label, hash: sha256(token), createdAt: ts() };
+  u.tokens = [...(u.tokens || []), entry];
+  saveUsers(users);
+
+  console.log(`[AUTH] API token created: ${u.username} (${label})`);
+  res.json({ ok: true, id: entry.id, label, createdAt: entry.createdAt, token });
+});
+
+app.delete("/auth/tokens/:tokenId", (req, res) => {
+  const users = loadUsers();
+  const u = users.find((x) => x.username === req.user.username);
+  const before = (u?.tokens || []).length;
+  if (u) u.tokens = (u.tokens || []).filter((t) => t.id !== req.params.tokenId);
+  if (!u || u.tokens.length === before) return res.status(404).json({ error: "token not found" });
+  saveUsers(users);
+  res.json({ ok: true });
+});
+
+// ----- USER MANAGEMENT (admin) -----
+app.get("/auth/users", (req, res) => {
+  res.json(loadUsers().map(publicUser));
+});
+
+// body: { username, password, role, accounts }
+app.post("/auth/users", (req, res) => {
+  const { username, password, role } = req.body || {};
+  if (!isValidUsername(username)) return res.status(400).json({ error: "username 3-32 karakter (huruf/angka/._-)" });
+  if (!ROLES.has(role)) return res.status(400).json({ error: "role must be admin/operator/viewer" });
+  const pwErr = passwordError(password);
+  if (pwErr) return res.status(400).json({ error: pwErr });
+
+  const users = loadUsers();
+  if (users.some((u) => u.username === username)) return res.status(409).json({ error: "username already exists" });
+
+  const u = {
+    username,
+    role,
+    accounts: role === "admin" ? [] : normalizeAccountList(req.body.accounts),
+    passwordHash: hashPassword(password),
+    tokens: [],
+  };
+  users.push(u);
+  saveUsers(users);
+
+  console.log(`[AUTH] User created: ${username} (${role}) by ${req.user.username}`);
+  res.json({ ok: true, user: publicUser(u) });
+});
+
+// body: { role?, accounts?, password? }
+app.put("/auth/users/:username", (req, res) => {
+  const users = loadUsers();
+  const u = users.find((x) => x.username === req.params.username);
+  if (!u) return res.status(404).json({ error: "user not found" });
+
+  const { role, accounts: accList, password } = req.body || {};
+  if (role !== undefined) {
+    if (!ROLES.has(role)) return res.status(400).json({ error: "role must be admin/operator/viewer" });
+    if (u.role === "admin" && role !== "admin" && users.filter((x) => x.role === "admin").length === 1) {
+      return res.status(400).json({ error: "cannot demote the last admin" });
+    }
+    u.role = role;
+  }
+  if (accList !== undefined) u.accounts = normalizeAccountList(accList);
+  if (u.role === "admin") u.accounts = [];
+  if (password !== undefined) {
+    const pwErr = passwordError(password);
+    if (pwErr) return res.status(400).json({ error: pwErr });
+    u.passwordHash = hashPassword(password);
+    for (const [sid, s] of sessions) {
+      if (s.username === u.username) sessions.delete(sid);
+    }
+  }
+
+  saveUsers(users);
+  console.log(`[AUTH] User updated: ${u.username} (${u.role}) by ${req.user.username}`);
+  res.json({ ok: true, user: publicUser(u) });
+});
+
+app.delete("/auth/users/:username", (req, res) => {
+  const users = loadUsers();
+  const u = users.find((x) => x.username === req.params.username);
+  if (!u) return res.status(404).json({ error: "user not found" });
+  if (u.username === req.user.username) return res.status(400).json({ error: "cannot delete yourself" });
+
+  saveUsers(users.filter((x) => x !== u));
+  for (const [sid, s] of sessions) {
+    if (s.username === u.username) sessions.delete(sid);
+  }
+
+  console.log(`[AUTH] User deleted: ${u.username} by ${req.user.username}`);
+  res.json({ ok: true });
+});
+
+app.post("/accounts/:accountId/init", (req, res) => {
+  if (req.user.role !== "admin") return res.status(403).json({ error: "forbidden: admin only" });
+  const { accountId } = req.params;
+  ensureAccount(accountId);
+  res.json({ ok: true, accountId });
+});
+
+app.get("/accounts", (req, res) => {
+  const mem = Object.keys(accounts);
+  const disk = listAccountIdsFromDisk();
+  const all = Array.from(new Set([...disk, ...mem]));
+  res.json(all.filter((id) => canAccessAccount(req.user, id)));
+});
+
+// ----- EXPORT / IMPORT akun + BACKUP (admin) -----
+// ?session=1 -> ikut session LocalAuth (bisa login tanpa scan QR -> simpan file-nya baik-baik)
+app.get("/accounts/:accountId/export", async (req, res) => {
+  if (req.user.role !== "admin") return res.status(403).json({ error: "forbidden: admin only" });
+  const { accountId } = req.params;
+  if (!accountExists(accountId)) return res.status(404).json({ error: "account not found" });
+  const includeSession = ["1", "true"].includes(String(req.query.session || ""));
+
+  res.set("Content-Type", "application/gzip");
+  res.set("Content-Disposition", `attachment; filename="wa-${accountId}-${ts().slice(0, 10)}.jsonl.gz"`);
+  try {
+    const { files } = await writeAccountBundle(accountId, includeSession, res);
+    log(accountId, "INFO", "Account exported", `session=${includeSession} files=${files} by=${req.user.username}`);
+  } catch (e) {
+    // header sudah terkirim -> putus koneksi (file terpotong, import menolak karena tanpa record end)
+    log(accountId, "ERROR", "Export failed", errToStr(e));
+    if (!res.headersSent) res.status(500).json({ error: e.message });
+    else res.destroy();
+  }
+});
+
+// body = file bundle (.jsonl.gz / .json.gz, kirim sebagai application/octet-stream), dibaca streaming
+// bundle v1 kecil boleh dikirim sebagai application/json
+// ?accountId= -> restore dengan id baru (default: id di bundle). Akun tujuan harus belum ada.
+app.post("/accounts/import", async (req, res) => {
+  if (req.user.role !== "admin") return res.status(403).json({ error: "forbidden: admin only" });
+  const lines = req.is("application/json") ? [JSON.stringify(req.body)] : readBundleLines(req);
+
+  let summary;
+  try {
+    summary = await importAccountBundle(bundleRecords(lines), req.query.accountId);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.log("[BACKUP] Import failed:", errToStr(e));
+    return res.status(500).json({ error: e.message });
+  }
+
+  log(
+    summary.accountId,
+    "INFO",
+    "Account imported",
+    `from=${summary.from} schedules=${summary.schedules} media=${summary.media} session=${summary.session} by=${req.user.username}`
+  );
+  res.json({ ok: true, ...summary });
+});
+
+// backup semua akun sekarang (sama dengan backup harian)
+app.post("/backups/run", async (req, res) => {
+  try {
+    res.json(await backupAllAccounts());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ----- UPCOMING (kalender) -----
+// ?from=&to= (ISO, default sekarang .. +7 hari, max 62 hari), ?accountId= (opsional)
+app.get("/upcoming", (req, res) => {
+  const now = Date.now();
+  const from = req.query.from ? new Date(String(req.query.from)).getTime() : now;
+  if (!Number.isFinite(from)) return res.status(400).json({ error: "from invalid" });
+  const to = req.query.to ? new Date(String(req.query.to)).getTime() : from + 7 * 24 * 3600 * 1000;
+  if (!Number.isFinite(to)) return res.status(400).json({ error: "to invalid" });
+  if (to <= from) return res.status(400).json({ error: "to must be after from" });
+  if (to - from > UPCOMING_MAX_RANGE_DAYS * 24 * 3600 * 1000) {
+    return res.status(400).json({ error: `range max ${UPCOMING_MAX_RANGE_DAYS} days` });
+  }
+
+  // yang sudah lewat tidak akan terkirim lagi
+  const fromMs = Math.max(from, now);
+  const ids = Array.from(new Set([...listAccountIdsFromDisk(), ...Object.keys(accounts)]))
+    .filter((id) => canAccessAccount(req.user, id))
+    .filter((id) => !req.query.accountId || id === String(req.query.accountId));
+
+  let occurrences = [];
+  const truncated = [];
+  for (const accountId of ids) {
+    if (fromMs > to) break;
+    try {
+      const r = upcomingForAccount(accountId, fromMs, to);
+      occurrences = occurrences.concat(r.occurrences);
+      truncated.push(...r.truncated);
+    } catch (e) {
+      log(accountId, "ERROR", "Upcoming calc failed", errToStr(e));
+    }
+  }
+  occurrences.sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+
+  res.json({
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    accounts: ids,
+    occurrences,
+    truncated,
+  });
+});
+
+app.get("/accounts/:accountId/status", (req, res) => {
+  const acc = ensureAccount(req.params.accountId);
+  res.json(accountStatus(acc));
+});
+
+// Prometheus scrape: pakai API token (Bearer); akun yang dimuat + bisa diakses user
+app.get("/metrics", (req, res) => {
+  const ids = Object.keys(accounts)
+    .filter((id) => canAccessAccount(req.user, id))
+    .sort();
+  res.type("text/plain; version=0.0.4").send(renderMetrics(ids));
+});
+
+// SSE: snapshot status + QR saat connect, lalu push perubahan (lihat LIVE)
+app.get("/accounts/:accountId/live", (req, res) => {
+  const acc = ensureAccount(req.params.accountId);
+  const accountId = acc.accountId;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: jangan buffer
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  res.liveAdmin = req.user.role === "admin";
+  if (!liveClients[accountId]) liveClients[accountId] = new Set();
+  liveClients[accountId].add(res);
+
+  res.write(`event: status\ndata: ${JSON.stringify(accountStatus(acc))}\n\n`);
+  res.write(`event: qr\ndata: ${JSON.stringify(liveQrData(res, acc.ready ? "" : acc.qrDataUrl))}\n\n`);
+
+  req.on("close", () => {
+    liveClients[accountId]?.delete(res);
+  });
+});
+
+// ----- SEND QUEUE (persist, inspect / cancel) -----
+app.get("/accounts/:accountId/queue", (req, res) => {
+  const acc = ensureAccount(req.params.accountId);
+  res.json({
+    running: acc.queueRunning,
+    ready: acc.ready,
+    tasks: acc.sendQueue.map((t, i) => publicSendTask(acc, t, i)),
+  });
+});
+
+// ?chatId= -> hanya satu target dari task yang dibatalkan
+app.delete("/accounts/:accountId/queue/:taskId", (req, res) => {
+  const accountId = req.params.accountId;
+  const acc = ensureAccount(accountId);
+  const task = acc.sendQueue.find((t) => t.taskId === req.params.taskId);
+  if (!task) return res.status(404).json({ error: "task not found" });
+
+  const raw = String(req.query.chatId || "");
+  const chatId = !raw ? "" : raw.includes("@") ? raw : toChatId(normalizeTarget(raw, accountCountryCode(accountId)));
+  if (chatId && !(task.targets || []).some((t) => t.chatId === chatId)) {
+    return res.status(404).json({ error: "chatId not pending in this task" });
+  }
+  cancelSendTask(accountId, task, chatId, req.user.username);
+  res.json({ ok: true, queueLength: acc.sendQueue.length });
+});
+
+// batalkan semua antrean akun
+app.delete("/accounts/:accountId/queue", (req, res) => {
+  const accountId = req.params.accountId;
+  const acc = ensureAccount(accountId);
+  const n = acc.sendQueue.length;
+  for (const task of acc.sendQueue.slice()) cancelSendTask(accountId, task, "", req.user.username);
+  res.json({ ok: true, cancelled: n });
+});
+
+// ----- SETTINGS endpoints -----
+app.get("/accounts/:accountId/settings", (req, res) => {
+  const acc = ensureAccount(req.params.accountId);
+  res.json({
+    ...acc.settings,
+    timeZone: accountTz(acc.accountId),
+    serverTimeZone: DEFAULT_TZ,
+    countryCode: accountCountryCode(acc.accountId),
+    defaultCountryCode: DEFAULT_COUNTRY_CODE,
+    rateLimits: rateLimitsOf(acc.accountId),
+    defaultRateLimits: DEFAULT_RATE_LIMITS,
+  });
+});
+
+// body: { timeZone, countryCode, rateLimits } ("" = ikut zona server / DEFAULT_COUNTRY_CODE, rateLimits null = default)
+app.put("/accounts/:accountId/settings", (req, res) => {
+  const accountId = req.params.accountId;
+  const acc = ensureAccount(accountId);
+  const patch = req.body || {};
+
+  let rateLimits;
+  if (patch.rateLimits !== undefined) {
+    rateLimits = normalizeRateLimits(patch.rateLimits);
+    if (rateLimits.error) return res.status(400).json({ error: rateLimits.error });
+  }
+
+  let countryCode;
+  if (patch.countryCode !== undefined) {
+    countryCode = String(patch.countryCode || "").trim().replace(/^\+/, "");
+    if (countryCode && !isValidCountryCode(countryCode)) {
+      return res.status(400).json({ error: "countryCode invalid (1-3 digits). Example: 62" });
+    }
+  }
+
+  if (patch.timeZone !== undefined) {
+    const tzName = String(patch.timeZone || "").trim();
+    if (tzName && !isValidTimeZone(tzName)) return res.status(400).json({ error: "timeZone invalid. Example: Asia/Makassar" });
+
+    if ((tzName || undefined) !== acc.settings.timeZone) {
+      acc.settings.timeZone = tzName || undefined;
+      // interval yang ikut zona akun dihitung ulang di zona baru
+      for (const m of acc.messages) {
+        if (!m.timeZone && String(m.repeatType || "").startsWith("interval_")) m.nextRunISO = undefined;
+      }
+      saveSettings(accountId);
+      rescheduleAll(accountId);
+      log(accountId, "INFO", "Account time zone changed", accountTz(accountId));
+    }
+  }
+
+  if (countryCode !== undefined) {
+    // target tersimpan sudah E.164; hanya input baru yang memakai kode ini
+    if ((countryCode || undefined) !== acc.settings.countryCode) {
+      acc.settings.countryCode = countryCode || undefined;
+      saveSettings(accountId);
+      log(accountId, "INFO", "Account country code changed", `+${accountCountryCode(accountId)}`);
+    }
+  }
+
+  if (rateLimits) {
+    acc.settings.rateLimits = rateLimits.value;
+    saveSettings(accountId);
+    log(accountId, "INFO", "Rate limits changed", JSON.stringify(rateLimitsOf(accountId)));
+    recheckRateDeferred(accountId);
+  }
+
+  res.json({
+    ok: true,
+    settings: {
+      ...acc.settings,
+      timeZone: accountTz(accountId),
+      countryCode: accountCountryCode(accountId),
+      rateLimits: rateLimitsOf(accountId),
+    },
+  });
+});
+
+// ----- PAUSE / RESUME -----
+app.post("/accounts/:accountId/pause", (req, res) => {
+  const accountId = req.params.accountId;
+  const acc = ensureAccount(accountId);
+  if (!acc.settings.paused) {
+    acc.settings.paused = true;
+    acc.settings.pausedAt = ts();
+    acc.settings.pausedBy = req.user.username;
+    saveSettings(accountId);
+    log(accountId, "WARN", "Account paused (all schedules)", `by=${req.user.username}`);
+  }
+  res.json({ ok: true, paused: true, pausedAt: acc.settings.pausedAt });
+});
+
+app.post("/accounts/:accountId/resume", (req, res) => {
+  const accountId = req.params.accountId;
+  const acc = ensureAccount(accountId);
+  if (acc.settings.paused) {
+    acc.settings.paused = undefined;
+    acc.settings.pausedAt = undefined;
+    acc.settings.pausedBy = undefined;
+    saveSettings(accountId);
+    for (const m of acc.messages) {
+      if (!m.paused) resumeSchedule(accountId, m);
+    }
+    log(accountId, "INFO", "Account resumed", `by=${req.user.username}`);
+  }
+  res.json({ ok: true, paused: false });
+});
+
+app.get("/accounts/:accountId/qr", (req, res) => {
+  if (req.user.role !== "admin") return res.status(403).json({ error: "forbidden: admin only" });
+  const acc = ensureAccount(req.params.accountId);
+  if (!acc.qrDataUrl) {
+    return res.send(
+      acc.ready
+        ? `Account ${acc.accountId} sudah login. Kalau mau QR lagi, klik Logout di UI.`
+        : "QR belum siap. Refresh beberapa detik lagi."
+    );
+  }
+  // QR berganti tiap ~20 detik -> ikut event live, tidak perlu refresh manual
+  res.send(`
+    <h2>Scan QR - Account: ${acc.accountId}</h2>
+    <p id="qrNote">QR diperbarui otomatis.</p>
+    <img id="qrImg" src="${acc.qrDataUrl}" style="width:320px;height:320px;" />
+    <script>
+      const es = new EventSource(${JSON.stringify(`/accounts/${encodeURIComponent(acc.accountId)}/live`)});
+      es.addEventListener("qr", (e) => {
+        const d = JSON.parse(e.data);
+        if (d.qrDataUrl) document.getElementById("qrImg").src = d.qrDataUrl;
+      });
+      es.addEventListener("status", (e) => {
+        if (!JSON.parse(e.data).ready) return;
+        document.getElementById("qrImg").style.display = "none";
+        document.getElementById("qrNote").textContent = "✅ Sudah login.";
+        es.close();
+      });
+    </script>
+  `);
+});
+
+app.get("/accounts/:accountId/groups", async (req, res) => {
+  const acc = ensureAccount(req.params.accountId);
+  if (!acc.ready) return res.status(400).json({ error: "Account not ready / not logged in" });
+
+  try {
+    const chats = await acc.client.getChats();
+    const groups = chats
+      .filter((c) => c && c.isGroup)
+      .map((g) => ({ id: g.id?._serialized || "", name: g.name || "Unnamed Group" }))
+      .filter((g) => g.id.endsWith("@g.us"));
+
+    groups.sort((a, b) => a.name.localeCompare(b.name));
+    res.json(groups);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ----- LOG endpoints -----
+// ?lines=  -> tail teks seperti dulu (default)
+// ?format=json &level=INFO,ERROR &scheduleId= &target= &q= &from= &to= &limit= &cursor=  -> { items, nextCursor }
+app.get("/accounts/:accountId/logs", (req, res) => {
+  const accountId = req.params.accountId;
+  ensureAccount(accountId);
+
+  if (req.query.format !== "json") {
+    const linesParam = Number(req.query.lines || 300);
+    const maxLines = Number.isFinite(linesParam) ? Math.min(Math.max(linesParam, 50), 2000) : 300;
+    try {
+      const { items } = searchLogs(accountId, {}, maxLines, null);
+      if (!items.length) return res.type("text").send("No logs yet.");
+      const text = items
+        .reverse()
+        .map((r) => `[${r.ts}] [${r.accountId}] [${r.level}] ${r.msg}` + (r.extra ? ` | ${r.extra}` : ""))
+        .join("\n");
+      return res.type("text").send(text);
+    } catch (e) {
+      return res.status(500).type("text").send(errToStr(e));
+    }
+  }
+
+  const f = {};
+  if (req.query.level) {
+    f.levels = String(req.query.level)
+      .split(",")
+      .map((x) => x.trim().toUpperCase())
+      .filter(Boolean);
+    const bad = f.levels.find((x) => !LOG_LEVELS.includes(x));
+    if (bad) return res.status(400).json({ error: `level must be one of: ${LOG_LEVELS.join(", ")}` });
+  }
+  if (req.query.scheduleId != null && req.query.scheduleId !== "") {
+    f.scheduleId = Number(req.query.scheduleId);
+    if (!Number.isFinite(f.scheduleId)) return res.status(400).json({ error: "scheduleId must be a number" });
+  }
+  if (req.query.target) {
+    const raw = String(req.query.target).trim();
+    // nomor (08xx / +62xx) dinormalisasi; sebagian nomor / chatId juga boleh (cocok substring)
+    f.target = raw.includes("@") ? raw : normalizeTarget(raw, accountCountryCode(accountId)).replace(/\D/g, "");
+  }
+  if (req.query.q) f.q = String(req.query.q).toLowerCase();
+  for (const key of ["from", "to"]) {
+    if (!req.query[key]) continue;
+    const ms = Date.parse(String(req.query[key]));
+    if (!Number.isFinite(ms)) return res.status(400).json({ error: `${key} is not a valid date` });
+    f[`${key}Ms`] = ms;
+  }
+
+  const limitParam = Number(req.query.limit || 200);
+  const limit = Number.isFinite(limitParam) ? Math.min(Math.max(Math.floor(limitParam), 1), 1000) : 200;
+
+  try {
+    res.json(searchLogs(accountId, f, limit, req.query.cursor ? String(req.query.cursor) : null));
+  } catch (e) {
+    res.status(500).json({ error: errToStr(e) });
+  }
+});
+
+app.delete("/accounts/:accountId/logs", (req, res) => {
+  const accountId = req.params.accountId;
+  ensureAccount(accountId);
+  clearLogs(accountId);
+  res.json({ ok: true });
+});
+
+// ----- RECENT endpoints -----
+app.get("/accounts/:accountId/recent", (req, res) => {
+  ensureAccount(req.params.accountId);
+  res.json(loadRecent(req.params.accountId));
+});
+
+app.delete("/accounts/:accountId/recent", (req, res) => {
+  ensureAccount(req.params.accountId);
+  saveRecent(req.params.accountId, { targets: [], messages: [] });
+  res.json({ ok: true });
+});
+
+// ----- MEDIA endpoints -----
+// upload: body = isi file mentah, Content-Type = mimetype, ?filename=brosur.pdf
+app.post(
+  "/accounts/:accountId/media",
+  express.raw({ type: () => true, limit: MEDIA_MAX_BYTES }),
+  (req, res) => {
+    const accountId = req.params.accountId;
+    ensureAccount(accountId);
+
+    const buf = req.body;
+    if (!Buffer.isBuffer(buf) || buf.length === 0) return res.status(400).json({ error: "file body required" });
+
+    const mimetype = String(req.headers["content-type"] || "").split(";")[0].trim();
+    if (!mimetype) return res.status(400).json({ error: "Content-Type required" });
+
+    try {
+      const meta = storeMedia(accountId, req.query.filename, mimetype, buf);
+      log(accountId, "INFO", "Media uploaded", `id=${meta.id} file=${meta.filename} size=${meta.size}`);
+      res.json({ ok: true, media: meta });
+    } catch (e) {
+      log(accountId, "ERROR", "Media upload failed", errToStr(e));
+      res.status(500).json({ error: String(e) });
+    }
+  }
+);
+
+app.get("/accounts/:accountId/media", (req, res) => {
+  ensureAccount(req.params.accountId);
+  res.json(loadMedia(req.params.accountId));
+});
+
+app.delete("/accounts/:accountId/media/:mediaId", (req, res) => {
+  const { accountId, mediaId } = req.params;
+  const acc = ensureAccount(accountId);
+
+  const list = loadMedia(accountId);
+  const meta = list.find((m) => m.id === mediaId);
+  if (!meta) return res.status(404).json({ error: "not found" });
+  if (referencedMediaIds(acc.messages).has(mediaId)) {
+    return res.status(409).json({ error: "media still used by a schedule" });
+  }
+  if (referencedMediaIds(loadAutoReplies(accountId)).has(mediaId)) {
+    return res.status(409).json({ error: "media still used by an auto reply rule" });
+  }
+
+  try { fs.unlinkSync(path.join(mediaDir(accountId), meta.file)); } catch {}
+  saveMedia(accountId, list.filter((m) => m.id !== mediaId));
+
+  log(accountId, "INFO", "Media deleted", `id=${mediaId}`);
+  res.json({ ok: true });
+});
+
+// ----- CONTACT LIST endpoints -----
+app.get("/accounts/:accountId/lists", (req, res) => {
+  ensureAccount(req.params.accountId);
+  const lists = loadLists(req.params.accountId).map((l) => ({
+    name: l.name,
+    count: (l.members || []).length,
+    createdAt: l.createdAt,
+    updatedAt: l.updatedAt,
+  }));
+  res.json(lists);
+});
+
+app.get("/accounts/:accountId/lists/:name", (req, res) => {
+  ensureAccount(req.params.accountId);
+  const name = String(req.params.name).toLowerCase();
+  const cl = loadLists(req.params.accountId).find((l) => l.name === name);
+  if (!cl) return res.status(404).json({ error: "not found" });
+  res.json(cl);
+});
+
+// body: { name, members: [{ target, name, fields }] } atau { name, membersText }
+app.post("/accounts/:accountId/lists", (req, res) => {
+  const accountId = req.params.accountId;
+  ensureAccount(accountId);
+
+  const { members, membersText } = req.body || {};
+  const name = String(req.body?.name || "").trim().toLowerCase();
+  if (!isValidListName(name)) return res.status(400).json({ error: "name invalid (a-z, 0-9, _ or -, max 50)" });
+
+  const lists = loadLists(accountId);
+  if (lists.some((l) => l.name === name)) return res.status(409).json({ error: "list already exists" });
+
+  const invalidTargets = [];
+  const parsedMembers = parseListMembers(members, membersText, { countryCode: accountCountryCode(accountId), errors: invalidTargets });
+  if (invalidTargets.length > 0) return res.status(400).json({ error: invalidTargetsError(invalidTargets), invalidTargets });
+
+  const cl = {
+    name,
+    members: parsedMembers,
+    createdAt: ts(),
+    updatedAt: ts(),
+  };
+  lists.push(cl);
+  saveLists(accountId, lists);
+
+  log(accountId, "INFO", "Contact list created", `list=${name} members=${cl.members.length}`);
+  res.json({ ok: true, list: cl });
+});
+
+// body: { members | membersText, newName? } -> semua jadwal yang pakai list ikut berubah saat kirim
+app.put("/accounts/:accountId/lists/:name", (req, res) => {
+  const accountId = req.params.accountId;
+  const acc = ensureAccount(accountId);
+  const name = String(req.params.name).toLowerCase();
+
+  const lists = loadLists(accountId);
+  const cl = lists.find((l) => l.name === name);
+  if (!cl) return res.status(404).json({ error: "not found" });
+
+  const patch = req.body || {};
+  if (patch.newName !== undefined && String(patch.newName).trim().toLowerCase() !== name) {
+    const newName = String(patch.newName).trim().toLowerCase();
+    if (!isValidListName(newName)) return res.status(400).json({ error: "newName invalid (a-z, 0-9, _ or -, max 50)" });
+    if (lists.some((l) => l.name === newName)) return res.status(409).json({ error: "list already exists" });
+    if (acc.messages.some((m) => listNamesOfItem(m).has(name))) {
+      return res.status(409).json({ error: "list still used by a schedule, cannot rename" });
+    }
+    cl.name = newName;
+  }
+
+  if (patch.members !== undefined || patch.membersText !== undefined) {
+    const invalidTargets = [];
+    const parsedMembers = parseListMembers(patch.members, patch.membersText, {
+      countryCode: accountCountryCode(accountId),
+      errors: invalidTargets,
+    });
+    if (invalidTargets.length > 0) return res.status(400).json({ error: invalidTargetsError(invalidTargets), invalidTargets });
+    cl.members = parsedMembers;
+  }
+  cl.updatedAt = ts();
+  saveLists(accountId, lists);
+
+  log(accountId, "INFO", "Contact list updated", `list=${cl.name} members=${cl.members.length}`);
+  res.json({ ok: true, list: cl });
+});
+
+app.delete("/accounts/:accountId/lists/:name", (req, res) => {
+  const accountId = req.params.accountId;
+  const acc = ensureAccount(accountId);
+  const name = String(req.params.name).toLowerCase();
+
+  const lists = loadLists(accountId);
+  if (!lists.some((l) => l.name === name)) return res.status(404).json({ error: "not found" });
+  if (acc.messages.some((m) => listNamesOfItem(m).has(name))) {
+    return res.status(409).json({ error: "list still used by a schedule" });
+  }
+
+  saveLists(accountId, lists.filter((l) => l.name !== name));
+  log(accountId, "INFO", "Contact list deleted", `list=${name}`);
+  res.json({ ok: true });
+});
+
+// ----- IMPORT endpoint -----
+// body = file mentah (CSV/XLSX), ?filename=pelanggan.xlsx
+// tanpa ?phone= -> hanya baca kolom + contoh baris
+// ?phone=&name=&message=&fields=a,b&mode=targets -> targets + targetsText (isi ke form jadwal)
+// ?phone=...&mode=list&list=pelanggan[&replace=1] -> simpan ke daftar kontak (merge / replace)
+app.post(
+  "/accounts/:accountId/import",
+  express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }),
+  (req, res) => {
+    const accountId = req.params.accountId;
+    ensureAccount(accountId);
+
+    const buf = req.body;
+    if (!Buffer.isBuffer(buf) || buf.length === 0) return res.status(400).json({ error: "file body required" });
+
+    let table;
+    try {
+      table = readSpreadsheet(req.query.filename, buf);
+    } catch (e) {
+      return res.status(400).json({ error: `cannot read file: ${e.message}` });
+    }
+    if (table.length === 0) return res.status(400).json({ error: "file is empty" });
+
+    const columns = (table[0] || []).map((h) => String(h).trim());
+    if (!req.query.phone) {
+      return res.json({ ok: true, columns, sample: table.slice(1, 6), totalRows: table.length - 1 });
+    }
+
+    const mapping = {
+      phone: req.query.phone,
+      name: req.query.name,
+      message: req.query.message,
+      fields: String(req.query.fields || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean),
+    };
+
+    let mapped;
+    try {
+      mapped = mapImportRows(table, mapping, accountCountryCode(accountId));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const { rows, report } = mapped;
+
+    const mode = String(req.query.mode || "targets").toLowerCase();
+    if (mode === "targets") {
+      const targets = rows.map((r) => {
+        const fields = { ...r.fields };
+        if (r.name) fields.name = r.name;
+        const it = { target: r.target, message: r.message };
+        if (Object.keys(fields).length > 0) it.fields = fields;
+        return it;
+      });
+      log(accountId, "INFO", "Import parsed (targets)", `valid=${report.valid} invalid=${report.invalid.length}`);
+      return res.json({ ok: true, mode, targets, targetsText: importRowsToTargetsText(rows), report });
+    }
+
+    if (mode !== "list") return res.status(400).json({ error: "mode must be targets or list" });
+
+    const name = String(req.query.list || "").trim().toLowerCase();
+    if (!isValidListName(name)) return res.status(400).json({ error: "list name invalid (a-z, 0-9, _ or -, max 50)" });
+
+    const members = rows.map((r) => {
+      const fields = { ...r.fields };
+      if (r.message) fields.message = r.message; // pakai {message} di template
+      return {
+        target: r.target,
+        name: r.name || undefined,
+        fields: Object.keys(fields).length ? fields : undefined,
+      };
+    });
+
+    const lists = loadLists(accountId);
+    let cl = lists.find((l) => l.name === name);
+    if (!cl) {
+      cl = { name, members: [], createdAt: ts(), updatedAt: ts() };
+      lists.push(cl);
+    }
+    if (String(req.query.replace || "") === "1") cl.members = members;
+    else {
+      const byTarget = new Map((cl.members || []).map((m) => [m.target, m]));
+      for (const m of members) byTarget.set(m.target, m);
+      cl.members = Array.from(byTarget.values());
     }
+    cl.updatedAt = ts();
+    saveLists(accountId, lists);
 
-    // window check
-    const now = new Date();
-    if (!isNowInWindow(now, current.windowStart, current.windowEnd)) {
-      const waitMs = msUntilWindowStart(now, current.windowStart, current.windowEnd);
-      log(accountId, "DEBUG", `Outside window -> delay send`, `id=${id} waitMs=${waitMs}`);
+    log(accountId, "INFO", "Import saved to contact list", `list=${name} valid=${report.valid} total=${cl.members.length}`);
+    res.json({ ok: true, mode, list: { name, count: cl.members.length }, report });
+  }
+);
 
-      enqueueSend(accountId, async () => {
-        const idx2 = acc.messages.findIndex((m) => m.id === id);
-        if (idx2 === -1) return;
-        const cur2 = acc.messages[idx2];
+// ----- BLACKOUT endpoints -----
+app.get("/accounts/:accountId/blackout", (req, res) => {
+  ensureAccount(req.params.accountId);
+  res.json(loadBlackout(req.params.accountId));
+});
 
-        if (waitMs > 0) await sleep(waitMs);
-        const ok = await waitUntilReady(accountId, 60_000);
-        if (!ok) return;
+// body: { start: "YYYY-MM-DD", end?: "YYYY-MM-DD", label? }
+app.post("/accounts/:accountId/blackout", (req, res) => {
+  const accountId = req.params.accountId;
+  ensureAccount(accountId);
 
-        const now2 = new Date();
-        if (!isNowInWindow(now2, cur2.windowStart, cur2.windowEnd)) return;
+  const start = String(req.body?.start || "").trim();
+  const end = String(req.body?.end || start).trim();
+  if (!isValidDay(start)) return res.status(400).json({ error: "start invalid. Example: 2026-03-20" });
+  if (!isValidDay(end)) return res.status(400).json({ error: "end invalid. Example: 2026-03-21" });
+  if (end < start) return res.status(400).json({ error: "end must be >= start" });
 
-        await sendTargetsPerItem(accountId, cur2);
-        afterSendUpdate(accountId, id);
-      });
-    } else {
-      enqueueSend(accountId, async () => {
-        const idx2 = acc.messages.findIndex((m) => m.id === id);
-        if (idx2 === -1) return;
-        const cur2 = acc.messages[idx2];
+  const added = addBlackoutRanges(accountId, [{ start, end, label: String(req.body?.label || "").trim() }]);
+  log(accountId, "INFO", "Blackout added", `${start}..${end}`);
+  res.json({ ok: true, added });
+});
 
-        const ok = await waitUntilReady(accountId, 60_000);
-        if (!ok) return;
+// body = isi file .ics mentah
+app.post(
+  "/accounts/:accountId/blackout/import-ics",
+  express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }),
+  (req, res) => {
+    const accountId = req.params.accountId;
+    ensureAccount(accountId);
 
-        await sendTargetsPerItem(accountId, cur2);
-        afterSendUpdate(accountId, id);
-      });
-    }
+    const buf = req.body;
+    if (!Buffer.isBuffer(buf) || buf.length === 0) return res.status(400).json({ error: "file body required" });
 
-    // schedule NEXT RUN (persist)
-    const stillThere = acc.messages.find((m) => m.id === id);
-    if (!stillThere) return;
+    const ranges = parseIcs(buf.toString("utf8"), accountTz(accountId));
+    if (ranges.length === 0) return res.status(400).json({ error: "no VEVENT found in .ics" });
 
-    stillThere.nextRunISO = new Date(Date.now() + everyMs).toISOString();
-    saveMessages(accountId);
-    scheduleOne(accountId, stillThere);
-  } catch (e) {
-    log(accountId, "ERROR", `INTERVAL job error id=${id}`, errToStr(e));
-    const idx3 = acc.messages.findIndex((m) => m.id === id);
-    if (idx3 !== -1) {
-      acc.messages[idx3].nextRunISO = new Date(Date.now() + everyMs).toISOString();
-      saveMessages(accountId);
-      scheduleOne(accountId, acc.messages[idx3]);
-    }
+    const added = addBlackoutRanges(accountId, ranges);
+    log(accountId, "INFO", "Blackout imported from .ics", `events=${ranges.length} added=${added}`);
+    res.json({ ok: true, events: ranges.length, added });
   }
-}
+);
 
-function rescheduleAll(accountId) {
-  const acc = ensureAccount(accountId);
-  cancelAllJobs(acc);
+app.delete("/accounts/:accountId/blackout/:blackoutId", (req, res) => {
+  const accountId = req.params.accountId;
+  ensureAccount(accountId);
 
-  // migrate super old schemas if exist
-  for (const m of acc.messages) {
-    if (m && m.target && !m.targets) {
-      m.targets = [{ target: normalizeTarget(m.target), message: String(m.message || "") }];
-      m.targetsText = String(m.target);
-      m.defaultMessage = String(m.message || "");
-      delete m.target;
-      delete m.message;
-    }
-    if (m && Array.isArray(m.targets) && !m.targetsText) {
-      m.targetsText = m.targets.map((x) => `${x.target} | ${x.message}`).join("\n");
-    }
-    // pastikan field nextRunISO kalau interval
-    if (m && String(m.repeatType || "").startsWith("interval_") && !m.nextRunISO) {
-      // akan dihitung saat scheduleOne dipanggil
-      m.nextRunISO = undefined;
-    }
-  }
+  const list = loadBlackout(accountId);
+  const rest = list.filter((b) => b.id !== req.params.blackoutId);
+  if (rest.length === list.length) return res.status(404).json({ error: "not found" });
 
-  for (const m of acc.messages) {
-    if (!m?.id || !Array.isArray(m.targets) || !m?.datetimeISO) continue;
-    if (!isValidDateString(m.datetimeISO)) continue;
-    scheduleOne(accountId, m);
-  }
+  saveBlackout(accountId, rest);
+  log(accountId, "INFO", "Blackout deleted", `id=${req.params.blackoutId}`);
+  res.json({ ok: true });
+});
 
-  saveMessages(accountId);
-  log(accountId, "INFO", `Rescheduled all`, `count=${acc.messages.length}`);
-}
+// ----- AUTO REPLY endpoints -----
+app.get("/accounts/:accountId/autoreplies", (req, res) => {
+  ensureAccount(req.params.accountId);
+  res.json(sortAutoReplies(loadAutoReplies(req.params.accountId)));
+});
 
-// ---------- Routes ----------
-app.get("/", (req, res) => res.sendFile(path.join(__dirname, "public", "index.html")));
+app.get("/accounts/:accountId/autoreplies/:ruleId", (req, res) => {
+  const rule = loadAutoReplies(req.params.accountId).find((r) => r.id === req.params.ruleId);
+  if (!rule) return res.status(404).json({ error: "rule not found" });
+  res.json(rule);
+});
 
-app.post("/accounts/:accountId/init", (req, res) => {
-  const { accountId } = req.params;
+// body: { name, matchType, pattern, caseSensitive, scope, chats, businessHours:{start,end,weekdays},
+//         reply, attachments, cooldownSeconds, priority, enabled }
+app.post("/accounts/:accountId/autoreplies", (req, res) => {
+  const accountId = req.params.accountId;
   ensureAccount(accountId);
-  res.json({ ok: true, accountId });
+
+  const built = buildAutoReplyRule(accountId, req.body || {});
+  if (built.error) return res.status(400).json({ error: built.error });
+
+  const rules = loadAutoReplies(accountId);
+  const rule = {
+    id: crypto.randomBytes(6).toString("hex"),
+    ...built.value,
+    hits: 0,
+    createdAt: ts(),
+    updatedAt: ts(),
+  };
+  rules.push(rule);
+  saveAutoReplies(accountId, rules);
+  markMediaAttached(accountId, new Set(rule.attachments));
+
+  log(accountId, "INFO", "Auto reply rule created", `id=${rule.id} ${rule.matchType}=${rule.pattern}`);
+  res.json({ ok: true, rule });
 });
 
-app.get("/accounts", (req, res) => {
-  const mem = Object.keys(accounts);
-  const disk = listAccountIdsFromDisk();
-  const all = Array.from(new Set([...disk, ...mem]));
-  res.json(all);
+app.put("/accounts/:accountId/autoreplies/:ruleId", (req, res) => {
+  const accountId = req.params.accountId;
+  const rules = loadAutoReplies(accountId);
+  const idx = rules.findIndex((r) => r.id === req.params.ruleId);
+  if (idx === -1) return res.status(404).json({ error: "rule not found" });
+
+  const built = buildAutoReplyRule(accountId, req.body || {}, rules[idx]);
+  if (built.error) return res.status(400).json({ error: built.error });
+
+  rules[idx] = { ...rules[idx], ...built.value, updatedAt: ts() };
+  saveAutoReplies(accountId, rules);
+  markMediaAttached(accountId, new Set(rules[idx].attachments));
+
+  log(accountId, "INFO", "Auto reply rule updated", `id=${rules[idx].id}`);
+  res.json({ ok: true, rule: rules[idx] });
 });
 
-app.get("/accounts/:accountId/status", (req, res) => {
-  const acc = ensureAccount(req.params.accountId);
-  res.json({
-    accountId: acc.accountId,
-    ready: acc.ready,
-    scheduledCount: acc.messages.length,
-    queueLength: acc.sendQueue.length,
-  });
+app.delete("/accounts/:accountId/autoreplies/:ruleId", (req, res) => {
+  const accountId = req.params.accountId;
+  const rules = loadAutoReplies(accountId);
+  const rest = rules.filter((r) => r.id !== req.params.ruleId);
+  if (rest.length === rules.length) return res.status(404).json({ error: "rule not found" });
+  saveAutoReplies(accountId, rest);
+
+  log(accountId, "INFO", "Auto reply rule deleted", `id=${req.params.ruleId}`);
+  res.json({ ok: true });
 });
 
-app.get("/accounts/:accountId/qr", (req, res) => {
-  const acc = ensureAccount(req.params.accountId);
-  if (!acc.qrDataUrl) {
-    return res.send(
-      acc.ready
-        ? `Account ${acc.accountId} sudah login. Kalau mau QR lagi, klik Logout di UI.`
-        : "QR belum siap. Refresh beberapa detik lagi."
-    );
-  }
-  res.send(`
-    <h2>Scan QR - Account: ${acc.accountId}</h2>
-    <p>Refresh jika QR belum muncul.</p>
-    <img src="${acc.qrDataUrl}" style="width:320px;height:320px;" />
-  `);
+// ----- WEBHOOK endpoints -----
+app.get("/accounts/:accountId/webhooks", (req, res) => {
+  ensureAccount(req.params.accountId);
+  res.json({ events: Array.from(WEBHOOK_EVENTS), webhooks: loadWebhooks(req.params.accountId).map(publicWebhook) });
 });
 
-app.get("/accounts/:accountId/groups", async (req, res) => {
-  const acc = ensureAccount(req.params.accountId);
-  if (!acc.ready) return res.status(400).json({ error: "Account not ready / not logged in" });
+// body: { url, events?, enabled? } -> secret hanya dikembalikan di sini
+app.post("/accounts/:accountId/webhooks", (req, res) => {
+  const accountId = req.params.accountId;
+  ensureAccount(accountId);
 
-  try {
-    const chats = await acc.client.getChats();
-    const groups = chats
-      .filter((c) => c && c.isGroup)
-      .map((g) => ({ id: g.id?._serialized || "", name: g.name || "Unnamed Group" }))
-      .filter((g) => g.id.endsWith("@g.us"));
+  const { url, events, enabled } = req.body || {};
+  if (!isValidWebhookUrl(url)) return res.status(400).json({ error: "url must be http(s)://..." });
+  const ev = normalizeWebhookEvents(events);
+  if (ev.error) return res.status(400).json({ error: ev.error });
+
+  const hooks = loadWebhooks(accountId);
+  const hook = {
+    id: crypto.randomBytes(6).toString("hex"),
+    url: String(url),
+    events: ev.value,
+    enabled: enabled !== false,
+    secret: crypto.randomBytes(24).toString("hex"),
+    createdAt: ts(),
+    updatedAt: ts(),
+  };
+  hooks.push(hook);
+  saveWebhooks(accountId, hooks);
 
-    groups.sort((a, b) => a.name.localeCompare(b.name));
-    res.json(groups);
-  } catch (e) {
-    res.status(500).json({ error: String(e) });
+  log(accountId, "INFO", "Webhook created", `id=${hook.id} url=${hook.url}`);
+  res.json({ ok: true, webhook: publicWebhook(hook), secret: hook.secret });
+});
+
+// body: { url?, events?, enabled?, rotateSecret? }
+app.put("/accounts/:accountId/webhooks/:webhookId", (req, res) => {
+  const accountId = req.params.accountId;
+  const hooks = loadWebhooks(accountId);
+  const hook = hooks.find((h) => h.id === req.params.webhookId);
+  if (!hook) return res.status(404).json({ error: "webhook not found" });
+
+  const { url, events, enabled, rotateSecret } = req.body || {};
+  if (url !== undefined) {
+    if (!isValidWebhookUrl(url)) return res.status(400).json({ error: "url must be http(s)://..." });
+    hook.url = String(url);
   }
+  if (events !== undefined) {
+    const ev = normalizeWebhookEvents(events);
+    if (ev.error) return res.status(400).json({ error: ev.error });
+    hook.events = ev.value;
+  }
+  if (enabled !== undefined) hook.enabled = !!enabled;
+  if (rotateSecret) hook.secret = crypto.randomBytes(24).toString("hex");
+  hook.updatedAt = ts();
+  saveWebhooks(accountId, hooks);
+
+  log(accountId, "INFO", "Webhook updated", `id=${hook.id}` + (rotateSecret ? " (secret rotated)" : ""));
+  res.json({ ok: true, webhook: publicWebhook(hook), secret: rotateSecret ? hook.secret : undefined });
 });
 
-// ----- LOG endpoints -----
-app.get("/accounts/:accountId/logs", (req, res) => {
+app.delete("/accounts/:accountId/webhooks/:webhookId", (req, res) => {
   const accountId = req.params.accountId;
-  ensureAccount(accountId);
+  const hooks = loadWebhooks(accountId);
+  const rest = hooks.filter((h) => h.id !== req.params.webhookId);
+  if (rest.length === hooks.length) return res.status(404).json({ error: "webhook not found" });
+  saveWebhooks(accountId, rest);
 
-  const file = logFile(accountId);
-  const linesParam = Number(req.query.lines || 300);
-  const maxLines = Number.isFinite(linesParam) ? Math.min(Math.max(linesParam, 50), 2000) : 300;
+  const logs = loadJsonArraySafe(webhookLogFile(accountId)).filter((x) => x.webhookId !== req.params.webhookId);
+  atomicWriteJson(webhookLogFile(accountId), logs);
 
-  try {
-    if (!fs.existsSync(file)) return res.type("text").send("No logs yet.");
-    const data = fs.readFileSync(file, "utf8");
-    const lines = data.split("\n").filter(Boolean);
-    const tail = lines.slice(-maxLines).join("\n");
-    res.type("text").send(tail);
-  } catch (e) {
-    res.status(500).type("text").send(errToStr(e));
+  log(accountId, "INFO", "Webhook deleted", `id=${req.params.webhookId}`);
+  res.json({ ok: true });
+});
+
+// log pengiriman (terbaru dulu)
+app.get("/accounts/:accountId/webhooks/:webhookId/deliveries", (req, res) => {
+  const accountId = req.params.accountId;
+  if (!loadWebhooks(accountId).some((h) => h.id === req.params.webhookId)) {
+    return res.status(404).json({ error: "webhook not found" });
   }
+  const limit = Math.min(WEBHOOK_LOG_PER_HOOK, Math.max(1, Number(req.query.limit) || 50));
+  const rows = loadJsonArraySafe(webhookLogFile(accountId))
+    .filter((x) => x.webhookId === req.params.webhookId)
+    .reverse()
+    .slice(0, limit);
+  res.json(rows);
 });
 
-app.delete("/accounts/:accountId/logs", (req, res) => {
+// kirim event "test" sekali (tanpa retry), hasil langsung dikembalikan
+app.post("/accounts/:accountId/webhooks/:webhookId/test", async (req, res) => {
   const accountId = req.params.accountId;
-  ensureAccount(accountId);
+  const hook = loadWebhooks(accountId).find((h) => h.id === req.params.webhookId);
+  if (!hook) return res.status(404).json({ error: "webhook not found" });
+
+  const payload = {
+    id: crypto.randomBytes(8).toString("hex"),
+    event: "test",
+    accountId,
+    at: ts(),
+    data: { message: "webhook test", by: req.user.username },
+  };
+  const r = await postWebhookOnce(hook, payload.event, JSON.stringify(payload));
   try {
-    fs.writeFileSync(logFile(accountId), "", "utf8");
+    recordWebhookAttempt(accountId, {
+      at: ts(),
+      webhookId: hook.id,
+      deliveryId: payload.id,
+      event: payload.event,
+      attempt: 1,
+      status: r.ok ? "ok" : "failed",
+      httpStatus: r.httpStatus,
+      durationMs: r.durationMs,
+      error: r.error || undefined,
+    });
   } catch {}
-  res.json({ ok: true });
+  res.json({ ok: r.ok, httpStatus: r.httpStatus, durationMs: r.durationMs, error: r.error || undefined });
 });
 
-// ----- RECENT endpoints -----
-app.get("/accounts/:accountId/recent", (req, res) => {
-  ensureAccount(req.params.accountId);
-  res.json(loadRecent(req.params.accountId));
-});
+// ----- DELIVERY endpoints -----
+// ?from=&to= (ISO), ?status=sent|failed|skipped, ?scheduleId=, ?limit=
+app.get("/accounts/:accountId/deliveries", (req, res) => {
+  const acc = ensureAccount(req.params.accountId);
+  const { from, to, status, scheduleId } = req.query;
+
+  if (from && !isValidDateString(from)) return res.status(400).json({ error: "from invalid" });
+  if (to && !isValidDateString(to)) return res.status(400).json({ error: "to invalid" });
+
+  const fromMs = from ? new Date(from).getTime() : -Infinity;
+  const toMs = to ? new Date(to).getTime() : Infinity;
+  const limitParam = Number(req.query.limit || 500);
+  const limit = Number.isFinite(limitParam) ? Math.min(Math.max(limitParam, 1), MAX_DELIVERIES) : 500;
+
+  const out = acc.deliveries.filter((d) => {
+    const t = new Date(d.at).getTime();
+    if (t < fromMs || t > toMs) return false;
+    if (status && d.status !== String(status)) return false;
+    if (scheduleId && String(d.scheduleId) !== String(scheduleId)) return false;
+    return true;
+  });
 
-app.delete("/accounts/:accountId/recent", (req, res) => {
-  ensureAccount(req.params.accountId);
-  saveRecent(req.params.accountId, { targets: [], messages: [] });
-  res.json({ ok: true });
+  res.json(out.slice(-limit).reverse());
 });
 
 // ----- messages -----
+// stale: waktu kirim sudah lewat tapi tidak ada job / antrean (lihat isStaleSchedule)
 app.get("/accounts/:accountId/messages", (req, res) => {
+  const accountId = req.params.accountId;
+  const acc = ensureAccount(accountId);
+  res.json(acc.messages.map((m) => (isStaleSchedule(accountId, m) ? { ...m, stale: true } : m)));
+});
+
+// render teks final per target untuk run berikutnya (tanpa kirim). spintax = 1 contoh acak
+app.get("/accounts/:accountId/messages/:id/preview", (req, res) => {
+  const accountId = req.params.accountId;
+  const id = parseInt(req.params.id, 10);
+  const acc = ensureAccount(accountId);
+
+  const item = acc.messages.find((m) => m.id === id);
+  if (!item) return res.status(404).json({ error: "not found" });
+
+  const at = nextRunDate(accountId, item) || new Date();
+  const counter = (Number(item.runCount) || 0) + 1;
+  const tz = itemTz(accountId, item);
+  const targets = renderRunTargets(accountId, item, at, counter);
+
+  res.json({ id, runAt: at.toISOString(), timeZone: tz, counter, targets });
+});
+
+// riwayat tetap ada walaupun jadwal sudah selesai / terhapus
+app.get("/accounts/:accountId/messages/:id/history", (req, res) => {
   const acc = ensureAccount(req.params.accountId);
-  res.json(acc.messages);
+  const id = parseInt(req.params.id, 10);
+  const records = acc.deliveries.filter((d) => d.scheduleId === id);
+  res.json({ id, runs: groupDeliveriesByRun(records) });
+});
+
+// body: { text, countryCode? } -> bentuk normal tiap target per baris (preview UI, tidak menyimpan)
+app.post("/accounts/:accountId/messages/normalize-targets", (req, res) => {
+  const accountId = req.params.accountId;
+  ensureAccount(accountId);
+  const cc = req.body?.countryCode ? String(req.body.countryCode).replace(/^\+/, "") : accountCountryCode(accountId);
+  if (!isValidCountryCode(cc)) return res.status(400).json({ error: "countryCode invalid (1-3 digits). Example: 62" });
+  res.json({ countryCode: cc, lines: previewTargets(req.body?.text, cc) });
 });
 
-app.post("/accounts/:accountId/messages", (req, res) => {
+app.post("/accounts/:accountId/messages", async (req, res) => {
   const accountId = req.params.accountId;
   const acc = ensureAccount(accountId);
 
@@ -1005,6 +5299,15 @@ app.post("/accounts/:accountId/messages", (req, res) => {
     randomDelayMinSeconds,
     randomDelayMaxSeconds,
     stopOnReplyKeyword,
+    stopOnReplyMode,
+    attachments,
+    cronExpression,
+    weekdays,
+    blackoutPolicy,
+    timeZone,
+    misfirePolicy,
+    misfireMax,
+    invalidTargetPolicy,
   } = req.body;
 
   if (!targetsText || !datetimeISO) {
@@ -1013,24 +5316,42 @@ app.post("/accounts/:accountId/messages", (req, res) => {
   if (!isValidDateString(datetimeISO)) {
     return res.status(400).json({ error: "datetimeISO invalid. Example: 2026-01-07T12:30:00" });
   }
+  if (attachments !== undefined && !Array.isArray(attachments)) {
+    return res.status(400).json({ error: "attachments must be an array of media ids" });
+  }
 
+  const att = Array.from(new Set((attachments || []).map(String).filter(Boolean)));
   const defMsg = String(defaultMessage || "").trim();
-  const targets = parseTargetsWithMessages(targetsText, defMsg);
+  const invalidTargets = [];
+  const targets = parseTargetsWithMessages(targetsText, defMsg, att.length > 0, {
+    countryCode: accountCountryCode(accountId),
+    errors: invalidTargets,
+  });
+  if (invalidTargets.length > 0) return res.status(400).json({ error: invalidTargetsError(invalidTargets), invalidTargets });
   if (targets.length === 0) return res.status(400).json({ error: "No valid targets or messages" });
 
   const rt = String(repeatType || "once").toLowerCase();
-  const allowed = new Set([
-    "once",
-    "daily",
-    "weekly",
-    "monthly",
-    "interval_seconds",
-    "interval_minutes",
-    "interval_hours",
-    "interval_days",
-    "interval_months",
-  ]);
-  if (!allowed.has(rt)) return res.status(400).json({ error: "repeatType invalid" });
+  if (!REPEAT_TYPES.has(rt)) return res.status(400).json({ error: "repeatType invalid" });
+
+  let cronExpr = undefined;
+  if (rt === "cron") {
+    const err = validateCronExpression(cronExpression);
+    if (err) return res.status(400).json({ error: err });
+    cronExpr = String(cronExpression).trim();
+  }
+
+  let days = undefined;
+  if (rt === "weekly") {
+    const wd = normalizeWeekdays(weekdays);
+    if (wd.error) return res.status(400).json({ error: wd.error });
+    days = wd.value;
+  }
+
+  const policy = String(blackoutPolicy || "skip").toLowerCase();
+  if (!BLACKOUT_POLICIES.has(policy)) return res.status(400).json({ error: "blackoutPolicy must be skip, shift or send" });
+
+  const tzName = String(timeZone || "").trim();
+  if (tzName && !isValidTimeZone(tzName)) return res.status(400).json({ error: "timeZone invalid. Example: Asia/Makassar" });
 
   let until = undefined;
   if (repeatUntilISO) {
@@ -1062,7 +5383,15 @@ app.post("/accounts/:accountId/messages", (req, res) => {
       ? Math.max(0, Math.floor(Number(randomDelayMaxSeconds)))
       : 0;
 
-  const keyword = String(stopOnReplyKeyword || "").trim();
+  const sor = normalizeStopOnReply(stopOnReplyMode, stopOnReplyKeyword);
+  if (sor.error) return res.status(400).json({ error: sor.error });
+
+  const mf = normalizeMisfire(misfirePolicy, misfireMax);
+  if (mf.error) return res.status(400).json({ error: mf.error });
+
+  const itp = String(invalidTargetPolicy || "off").toLowerCase();
+  if (!INVALID_TARGET_POLICIES.has(itp)) return res.status(400).json({ error: "invalidTargetPolicy must be off, flag or skip" });
+
   const item = {
     id: Date.now(),
     targets,
@@ -1071,18 +5400,35 @@ app.post("/accounts/:accountId/messages", (req, res) => {
     datetimeISO: String(datetimeISO),
     repeatType: rt,
     intervalMinutes: interval,
+    cronExpression: cronExpr,
+    weekdays: days,
     repeatUntilISO: until,
     remainingCount,
-    stopOnReplyKeyword: keyword ? keyword : undefined,
+    stopOnReplyMode: sor.mode !== "off" ? sor.mode : undefined,
+    stopOnReplyKeyword: sor.keyword,
     windowStart: windowStart || undefined,
     windowEnd: windowEnd || undefined,
     gapSeconds: gap,
     randomDelayMinSeconds: rMin,
     randomDelayMaxSeconds: rMax,
+    blackoutPolicy: policy,
+    misfirePolicy: mf.policy,
+    misfireMax: mf.max,
+    invalidTargetPolicy: itp !== "off" ? itp : undefined,
+    timeZone: tzName || undefined,
+    attachments: att.length > 0 ? att : undefined,
     // ✅ interval persistence
     nextRunISO: undefined,
+    lastFireISO: ts(),
   };
 
+  const usedMedia = mediaIdsOfItem(item);
+  const missing = missingMediaIds(accountId, usedMedia);
+  if (missing.length > 0) return res.status(400).json({ error: `attachment not found: ${missing.join(", ")}` });
+  const missingLists = missingListNames(accountId, listNamesOfItem(item));
+  if (missingLists.length > 0) return res.status(400).json({ error: `list not found: ${missingLists.join(", ")}` });
+  markMediaAttached(accountId, usedMedia);
+
   acc.messages.push(item);
   saveMessages(accountId);
   // schedule walaupun belum ready -> interval nextRun bisa tersimpan
@@ -1091,10 +5437,17 @@ app.post("/accounts/:accountId/messages", (req, res) => {
   updateRecent(accountId, item.targetsText, item.defaultMessage);
 
   log(accountId, "INFO", "Schedule created", `id=${item.id} repeat=${item.repeatType}`);
-  res.json({ ok: true, item });
+  emitEvent(accountId, "schedule.created", { ...scheduleSummary(item), by: req.user.username });
+
+  // nomor tidak terdaftar / bukan anggota grup -> dilaporkan (jadwal tetap dibuat)
+  const targetCheck = await refreshTargetCheck(accountId, item.id, NUMBER_CHECK_SYNC_BUDGET_MS).catch((e) => {
+    log(accountId, "ERROR", "Target check failed", errToStr(e));
+    return null;
+  });
+  res.json({ ok: true, item, targetCheck });
 });
 
-app.put("/accounts/:accountId/messages/:id", (req, res) => {
+app.put("/accounts/:accountId/messages/:id", async (req, res) => {
   const accountId = req.params.accountId;
   const id = parseInt(req.params.id, 10);
   const acc = ensureAccount(accountId);
@@ -1103,11 +5456,26 @@ app.put("/accounts/:accountId/messages/:id", (req, res) => {
   if (idx === -1) return res.status(404).json({ error: "not found" });
 
   const patch = req.body || {};
-  const cur = acc.messages[idx];
+  // patch diterapkan ke salinan; jadwal live baru diganti setelah semua validasi lolos (400 = tidak berubah)
+  const cur = { ...acc.messages[idx] };
+
+  if (patch.attachments !== undefined) {
+    if (patch.attachments !== null && !Array.isArray(patch.attachments)) {
+      return res.status(400).json({ error: "attachments must be an array of media ids" });
+    }
+    const att = Array.from(new Set((patch.attachments || []).map(String).filter(Boolean)));
+    cur.attachments = att.length > 0 ? att : undefined;
+  }
 
   if (patch.targetsText !== undefined) {
     const defMsg = String(patch.defaultMessage ?? cur.defaultMessage ?? "").trim();
-    const targets = parseTargetsWithMessages(patch.targetsText, defMsg);
+    const hasAtt = Array.isArray(cur.attachments) && cur.attachments.length > 0;
+    const invalidTargets = [];
+    const targets = parseTargetsWithMessages(patch.targetsText, defMsg, hasAtt, {
+      countryCode: accountCountryCode(accountId),
+      errors: invalidTargets,
+    });
+    if (invalidTargets.length > 0) return res.status(400).json({ error: invalidTargetsError(invalidTargets), invalidTargets });
     if (targets.length === 0) return res.status(400).json({ error: "No valid targets or messages" });
     cur.targets = targets;
     cur.targetsText = String(patch.targetsText);
@@ -1118,30 +5486,32 @@ app.put("/accounts/:accountId/messages/:id", (req, res) => {
 
   if (patch.datetimeISO !== undefined) {
     if (!isValidDateString(patch.datetimeISO)) return res.status(400).json({ error: "datetimeISO invalid" });
+    if (String(patch.datetimeISO) !== cur.datetimeISO) cur.nextRunISO = undefined;
     cur.datetimeISO = String(patch.datetimeISO);
   }
 
   if (patch.repeatType !== undefined) {
     const rt = String(patch.repeatType).toLowerCase();
-    const allowed = new Set([
-      "once",
-      "daily",
-      "weekly",
-      "monthly",
-      "interval_seconds",
-      "interval_minutes",
-      "interval_hours",
-      "interval_days",
-      "interval_months",
-    ]);
-    if (!allowed.has(rt)) return res.status(400).json({ error: "repeatType invalid" });
+    if (!REPEAT_TYPES.has(rt)) return res.status(400).json({ error: "repeatType invalid" });
     cur.repeatType = rt;
 
     if (!rt.startsWith("interval_")) cur.intervalMinutes = undefined;
+    if (rt !== "cron") cur.cronExpression = undefined;
+    if (rt !== "weekly") cur.weekdays = undefined;
     // reset nextRunISO biar hitung ulang
     cur.nextRunISO = undefined;
   }
 
+  if (patch.cronExpression !== undefined && cur.repeatType === "cron") {
+    cur.cronExpression = String(patch.cronExpression || "").trim() || undefined;
+  }
+
+  if (patch.weekdays !== undefined && cur.repeatType === "weekly") {
+    const wd = normalizeWeekdays(patch.weekdays);
+    if (wd.error) return res.status(400).json({ error: wd.error });
+    cur.weekdays = wd.value;
+  }
+
   if (patch.intervalMinutes !== undefined) {
     if (patch.intervalMinutes === "" || patch.intervalMinutes === null) cur.intervalMinutes = undefined;
     else {
@@ -1178,16 +5548,76 @@ app.put("/accounts/:accountId/messages/:id", (req, res) => {
   if (patch.randomDelayMaxSeconds !== undefined)
     cur.randomDelayMaxSeconds = Math.max(0, Math.floor(Number(patch.randomDelayMaxSeconds || 0)));
 
-  if (patch.stopOnReplyKeyword !== undefined) {
-    const k = String(patch.stopOnReplyKeyword || "").trim();
-    cur.stopOnReplyKeyword = k ? k : undefined;
+  if (patch.stopOnReplyKeyword !== undefined || patch.stopOnReplyMode !== undefined) {
+    const keyword = patch.stopOnReplyKeyword !== undefined ? patch.stopOnReplyKeyword : cur.stopOnReplyKeyword;
+    // tanpa mode di patch: keyword dikosongkan = stop on reply mati (perilaku lama)
+    let mode = patch.stopOnReplyMode;
+    if (mode === undefined) {
+      if (cur.stopOnReplyMode === "any") mode = "any";
+      else if (cur.stopOnReplyMode === "regex") mode = String(keyword || "").trim() ? "regex" : "off";
+    }
+    const sor = normalizeStopOnReply(mode, keyword);
+    if (sor.error) return res.status(400).json({ error: sor.error });
+    cur.stopOnReplyMode = sor.mode !== "off" ? sor.mode : undefined;
+    cur.stopOnReplyKeyword = sor.keyword;
+  }
+
+  // target yang sudah berhenti (via daftar kontak) boleh diaktifkan lagi
+  if (patch.clearStoppedTargets) cur.excludedChatIds = undefined;
+
+  if (patch.blackoutPolicy !== undefined) {
+    const policy = String(patch.blackoutPolicy || "skip").toLowerCase();
+    if (!BLACKOUT_POLICIES.has(policy)) return res.status(400).json({ error: "blackoutPolicy must be skip, shift or send" });
+    cur.blackoutPolicy = policy;
+  }
+
+  if (patch.timeZone !== undefined) {
+    const tzName = String(patch.timeZone || "").trim();
+    if (tzName && !isValidTimeZone(tzName)) return res.status(400).json({ error: "timeZone invalid. Example: Asia/Makassar" });
+    if ((tzName || undefined) !== cur.timeZone) cur.nextRunISO = undefined;
+    cur.timeZone = tzName || undefined;
+  }
+
+  if (patch.misfirePolicy !== undefined || patch.misfireMax !== undefined) {
+    const mf = normalizeMisfire(
+      patch.misfirePolicy !== undefined ? patch.misfirePolicy : cur.misfirePolicy,
+      patch.misfireMax !== undefined ? patch.misfireMax : cur.misfireMax
+    );
+    if (mf.error) return res.status(400).json({ error: mf.error });
+    cur.misfirePolicy = mf.policy;
+    cur.misfireMax = mf.max;
+  }
+
+  if (patch.invalidTargetPolicy !== undefined) {
+    const itp = String(patch.invalidTargetPolicy || "off").toLowerCase();
+    if (!INVALID_TARGET_POLICIES.has(itp)) return res.status(400).json({ error: "invalidTargetPolicy must be off, flag or skip" });
+    cur.invalidTargetPolicy = itp !== "off" ? itp : undefined;
+  }
+
+  // waktu jadwal berubah -> run lama (spec lama) bukan misfire
+  if (["datetimeISO", "repeatType", "intervalMinutes", "cronExpression", "weekdays", "timeZone"].some((k) => patch[k] !== undefined)) {
+    cur.lastFireISO = ts();
   }
+  cur.misfire = undefined;
 
   if (String(cur.repeatType || "").startsWith("interval_")) {
     const iv = Number(cur.intervalMinutes);
     if (!Number.isFinite(iv) || iv < 1) return res.status(400).json({ error: "interval value must be >= 1" });
   }
 
+  if (cur.repeatType === "cron") {
+    const err = validateCronExpression(cur.cronExpression);
+    if (err) return res.status(400).json({ error: err });
+  }
+
+  const usedMedia = mediaIdsOfItem(cur);
+  const missing = missingMediaIds(accountId, usedMedia);
+  if (missing.length > 0) return res.status(400).json({ error: `attachment not found: ${missing.join(", ")}` });
+  const missingLists = missingListNames(accountId, listNamesOfItem(cur));
+  if (missingLists.length > 0) return res.status(400).json({ error: `list not found: ${missingLists.join(", ")}` });
+  markMediaAttached(accountId, usedMedia);
+
+  acc.messages[idx] = cur;
   saveMessages(accountId);
 
   if (acc.jobs[id]) {
@@ -1199,9 +5629,133 @@ app.put("/accounts/:accountId/messages/:id", (req, res) => {
   updateRecent(accountId, cur.targetsText || "", cur.defaultMessage || "");
 
   log(accountId, "INFO", "Schedule updated", `id=${id}`);
+  emitEvent(accountId, "schedule.updated", { ...scheduleSummary(cur), by: req.user.username });
+
+  // target berubah -> cek ulang; selain itu hasil cek terakhir
+  let targetCheck = cur.targetCheck || null;
+  if (patch.targetsText !== undefined || patch.clearStoppedTargets) {
+    targetCheck = await refreshTargetCheck(accountId, id, NUMBER_CHECK_SYNC_BUDGET_MS).catch((e) => {
+      log(accountId, "ERROR", "Target check failed", errToStr(e));
+      return null;
+    });
+  }
+  res.json({ ok: true, item: cur, targetCheck });
+});
+
+// cek ulang semua target jadwal ke WhatsApp (?force=1 -> abaikan cache)
+app.post("/accounts/:accountId/messages/:id/check-targets", async (req, res) => {
+  const accountId = req.params.accountId;
+  const id = parseInt(req.params.id, 10);
+  const acc = ensureAccount(accountId);
+
+  if (!acc.messages.some((m) => m.id === id)) return res.status(404).json({ error: "not found" });
+  if (!acc.ready) return res.status(409).json({ error: "account not ready (scan QR / wait for READY)" });
+
+  const force = req.query.force === "1" || req.query.force === "true";
+  try {
+    res.json({ ok: true, targetCheck: await refreshTargetCheck(accountId, id, NUMBER_CHECK_SYNC_BUDGET_MS, force) });
+  } catch (e) {
+    log(accountId, "ERROR", "Target check failed", errToStr(e));
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// kirim 1 run sekarang (di luar jadwal). body: { dryRun?, ignoreWindow? } (atau ?dryRun=1)
+// dryRun: tidak memanggil WhatsApp, hanya laporan chatId + teks + delay window + status akun
+app.post("/accounts/:accountId/messages/:id/send-now", (req, res) => {
+  const accountId = req.params.accountId;
+  const id = parseInt(req.params.id, 10);
+  const acc = ensureAccount(accountId);
+
+  const item = acc.messages.find((m) => m.id === id);
+  if (!item) return res.status(404).json({ error: "not found" });
+
+  const body = req.body || {};
+  const dryRun = !!body.dryRun || req.query.dryRun === "1" || req.query.dryRun === "true";
+  const ignoreWindow = !!body.ignoreWindow;
+
+  const now = new Date();
+  const tz = itemTz(accountId, item);
+  const inWindow = isNowInWindow(now, item.windowStart, item.windowEnd, tz);
+  const delayMs = ignoreWindow ? 0 : msUntilWindowStart(now, item.windowStart, item.windowEnd, tz);
+  const counter = (Number(item.runCount) || 0) + 1;
+
+  if (dryRun) {
+    const hit = findBlackout(accountId, now, tz);
+    return res.json({
+      dryRun: true,
+      id,
+      ready: acc.ready,
+      paused: isPaused(accountId, item),
+      queueLength: acc.sendQueue.length,
+      timeZone: tz,
+      counter,
+      window: {
+        start: item.windowStart || null,
+        end: item.windowEnd || null,
+        inWindow,
+        ignored: ignoreWindow,
+        delayMs,
+        sendAt: new Date(now.getTime() + delayMs).toISOString(),
+      },
+      blackoutToday: hit ? { start: hit.start, end: hit.end, label: hit.label } : null,
+      targets: renderRunTargets(accountId, item, new Date(now.getTime() + delayMs), counter),
+    });
+  }
+
+  if (!acc.ready) return res.status(409).json({ error: "account not ready (scan QR / wait for READY)" });
+
+  enqueueSend(accountId, newSendTask(id, "manual", now.getTime() + delayMs));
+
+  log(accountId, "INFO", "Send-now queued", `id=${id} delayMs=${delayMs} by=${req.user.username}`);
+  res.json({ ok: true, queued: true, id, delayMs, queueLength: acc.sendQueue.length });
+});
+
+// pause: job tetap, run dilewati sampai resume
+app.post("/accounts/:accountId/messages/:id/pause", (req, res) => {
+  const accountId = req.params.accountId;
+  const id = parseInt(req.params.id, 10);
+  const acc = ensureAccount(accountId);
+
+  const cur = acc.messages.find((m) => m.id === id);
+  if (!cur) return res.status(404).json({ error: "not found" });
+
+  if (!cur.paused) {
+    cur.paused = true;
+    cur.pausedAt = ts();
+    cur.pausedBy = req.user.username;
+    saveMessages(accountId);
+    log(accountId, "INFO", "Schedule paused", `id=${id} by=${req.user.username}`);
+    emitEvent(accountId, "schedule.updated", { ...scheduleSummary(cur), paused: true, by: req.user.username });
+  }
   res.json({ ok: true, item: cur });
 });
 
+app.post("/accounts/:accountId/messages/:id/resume", (req, res) => {
+  const accountId = req.params.accountId;
+  const id = parseInt(req.params.id, 10);
+  const acc = ensureAccount(accountId);
+
+  const cur = acc.messages.find((m) => m.id === id);
+  if (!cur) return res.status(404).json({ error: "not found" });
+
+  let warning;
+  if (cur.paused) {
+    cur.paused = undefined;
+    cur.pausedAt = undefined;
+    cur.pausedBy = undefined;
+    resumeSchedule(accountId, cur);
+    saveMessages(accountId);
+    log(accountId, "INFO", "Schedule resumed", `id=${id} next=${cur.nextRunISO || "-"} by=${req.user.username}`);
+    emitEvent(accountId, "schedule.updated", { ...scheduleSummary(cur), paused: false, by: req.user.username });
+  }
+  if ((cur.repeatType || "once") === "once" && !acc.jobs[id]) {
+    warning = "once schedule time already passed; edit datetimeISO to run it";
+  }
+  if (acc.settings.paused) warning = "account is still paused";
+  res.json({ ok: true, item: cur, warning });
+});
+
 app.delete("/accounts/:accountId/messages/:id", (req, res) => {
   const accountId = req.params.accountId;
   const id = parseInt(req.params.id, 10);
@@ -1219,6 +5773,7 @@ app.delete("/accounts/:accountId/messages/:id", (req, res) => {
   saveMessages(accountId);
 
   log(accountId, "INFO", "Schedule deleted", `id=${id}`);
+  emitEvent(accountId, "schedule.deleted", { id, reason: "api", by: req.user.username });
   res.json({ ok: true });
 });
 
@@ -1238,6 +5793,8 @@ app.post("/accounts/:accountId/logout", async (req, res) => {
     acc.qrDataUrl = "";
 
     log(accountId, "INFO", "Logged out (session removed)");
+    pushQr(accountId, "");
+    pushStatus(accountId);
     res.json({ ok: true, message: `Logged out ${accountId}. Open /accounts/${accountId}/qr to scan again.` });
   } catch (e) {
     log(accountId, "ERROR", "Logout failed", errToStr(e));
@@ -1253,18 +5810,35 @@ app.delete("/accounts/:accountId", async (req, res) => {
   try {
     if (acc) {
       cancelAllJobs(acc);
+      acc.sendQueue.splice(0);
+      wakeQueue(acc);
       try { await acc.client.destroy(); } catch {}
       try { await acc.client.logout(); } catch {}
     }
 
     removeDirSafe(accountSessionDir(accountId));
 
-    try { fs.unlinkSync(path.join(DATA_DIR, `scheduledMessages.${accountId}.json`)); } catch {}
-    try { fs.unlinkSync(recentFile(accountId)); } catch {}
+    storeDeleteAccount(accountId);
+    try { fs.unlinkSync(mediaIndexFile(accountId)); } catch {}
+    try { fs.unlinkSync(listsFile(accountId)); } catch {}
+    try { fs.unlinkSync(blackoutFile(accountId)); } catch {}
+    try { fs.unlinkSync(settingsFile(accountId)); } catch {}
+    try { fs.unlinkSync(webhooksFile(accountId)); } catch {}
+    try { fs.unlinkSync(webhookLogFile(accountId)); } catch {}
+    try { fs.unlinkSync(autoRepliesFile(accountId)); } catch {}
+    clearTimeout(rateUsageTimers[accountId]);
+    delete rateUsageTimers[accountId];
+    try { fs.unlinkSync(rateUsageFile(accountId)); } catch {}
+    try { fs.unlinkSync(sendQueueFile(accountId)); } catch {}
+    try { fs.unlinkSync(numberCheckFile(accountId)); } catch {}
+    removeDirSafe(mediaDir(accountId));
 
     delete accounts[accountId];
 
     log(accountId, "INFO", "Account deleted (session+schedules+recent removed)");
+    for (const c of liveClients[accountId] || []) c.end();
+    delete liveClients[accountId];
+    delete metricsByAccount[accountId];
     res.json({ ok: true, message: `Account ${accountId} deleted (session + schedules + recent removed)` });
   } catch (e) {
     log(accountId, "ERROR", "Delete account failed", errToStr(e));
@@ -1280,6 +5854,13 @@ process.on("unhandledRejection", (reason) => {
 process.on("uncaughtException", (err) => {
   console.log("[GLOBAL] uncaughtException:", err);
 });
+// pm2 stop / restart: simpan dulu yang masih tertunda
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.once(sig, () => {
+    flushRateUsage();
+    process.exit(0);
+  });
+}
 
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`Server running on http://0.0.0.0:${PORT}`);
@@ -1293,5 +5874,6 @@ app.listen(PORT, "0.0.0.0", () => {
     } catch (e) {
       console.log("[BOOT] bootstrap failed:", errToStr(e));
     }
+    scheduleNightlyBackup();
   }, 1500);
 });
\ No newline at end of file
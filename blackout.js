@@ -0,0 +1,58 @@
+/**
+ * blackout.js — keputusan run di hari libur (blackoutPolicy skip / shift / send), tanpa IO
+ * dipakai app.js (runTick, misfire, dry run) + test/blackout.test.js; daftar libur dibaca app.js
+ */
+
+const { DEFAULT_TZ, isValidDateString, parseInZone, addDaysInZone, dayKey } = require("./tz");
+const { scheduleOccurrences } = require("./repeat");
+
+// list: [{ start: "YYYY-MM-DD", end, label }]
+function blackoutOn(list, date, tz = DEFAULT_TZ) {
+  const key = dayKey(date, tz);
+  return (list || []).find((b) => b.start <= key && key <= (b.end || b.start)) || null;
+}
+
+// hari pertama setelah `from` yang bukan libur (jam dinding sama), null kalau setahun penuh libur
+function nextAllowedDay(list, from, tz = DEFAULT_TZ) {
+  for (let i = 1; i <= 366; i++) {
+    const d = addDaysInZone(from, i, tz);
+    if (!blackoutOn(list, d, tz)) return d;
+  }
+  return null;
+}
+
+// run reguler berikutnya yang jatuh paling lambat di hari hasil shift (null kalau tidak ada)
+// dipakai supaya shift tidak dobel dengan run harian / mingguan yang jam-nya sama
+function regularRunByDay(item, tz, fromMs, day) {
+  if ((item.repeatType || "once") === "once") return null;
+  if (typeof item.remainingCount === "number" && item.remainingCount <= 0) return null;
+  const until =
+    item.repeatUntilISO && isValidDateString(item.repeatUntilISO)
+      ? parseInZone(item.repeatUntilISO, tz).getTime()
+      : Infinity;
+  const key = dayKey(day, tz);
+  const toMs = Math.min(day.getTime() + 36 * 3600 * 1000, until);
+  const hit = scheduleOccurrences(item, tz, fromMs, toMs).times.find((t) => dayKey(new Date(t), tz) <= key);
+  return hit == null ? null : new Date(hit);
+}
+
+// return: { action: "send" } kalau bukan libur, selain itu { action, hit, label, ... }:
+//   send (policy=send), skip, shift { to: Date }, merged { next: Date } (run reguler sudah ada di hari shift)
+function blackoutDecision(list, item, now, tz = DEFAULT_TZ) {
+  const hit = blackoutOn(list, now, tz);
+  if (!hit) return { action: "send" };
+
+  const policy = item.blackoutPolicy || "skip";
+  const label = hit.label ? `${hit.start} ${hit.label}` : hit.start;
+  if (policy === "send") return { action: "send", hit, label };
+
+  if (policy === "shift") {
+    const day = nextAllowedDay(list, now, tz);
+    const regular = day && regularRunByDay(item, tz, now.getTime() + 1, day);
+    if (regular) return { action: "merged", hit, label, next: regular };
+    if (day) return { action: "shift", hit, label, to: day };
+  }
+  return { action: "skip", hit, label };
+}
+
+module.exports = { blackoutOn, nextAllowedDay, regularRunByDay, blackoutDecision };
@@ -0,0 +1,130 @@
+/**
+ * importer.js — parse CSV + mapping kolom spreadsheet ke target (validasi nomor, duplikat)
+ * dipakai app.js (POST import) + test/importer.test.js; XLSX tetap dibaca di app.js
+ */
+
+const { parsePhone } = require("./phone");
+
+// CSV sederhana (RFC 4180): kutip ganda, "" escape, CRLF. delimiter , atau ; (export Excel lokal)
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const delim = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (inQuotes) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') inQuotes = false;
+      else field += c;
+      continue;
+    }
+    if (c === '"') inQuotes = true;
+    else if (c === delim) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => String(v).trim()));
+}
+
+function fieldKeyFromHeader(h) {
+  return String(h || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\W+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// mapping: { phone, name, message, fields: [header...] } (nama header kolom)
+// return: { rows: [{ row, target, name, message, fields }], report }
+function mapImportRows(table, mapping, countryCode) {
+  const header = (table[0] || []).map((h) => String(h).trim());
+  const col = (h) => (h ? header.indexOf(String(h).trim()) : -1);
+
+  const phoneIdx = col(mapping.phone);
+  if (phoneIdx === -1) throw new Error(`phone column not found: ${mapping.phone || "-"}`);
+  const nameIdx = col(mapping.name);
+  const msgIdx = col(mapping.message);
+  const fieldCols = [];
+  for (const h of mapping.fields || []) {
+    const i = col(h);
+    if (i === -1) throw new Error(`field column not found: ${h}`);
+    const key = fieldKeyFromHeader(h);
+    if (key) fieldCols.push({ i, key });
+  }
+
+  const rows = [];
+  const invalid = [];
+  const duplicates = [];
+  const firstRowOf = new Map();
+
+  for (let r = 1; r < table.length; r++) {
+    const cells = table[r];
+    const rowNo = r + 1; // nomor baris seperti di spreadsheet
+    const raw = String(cells[phoneIdx] ?? "").trim();
+    const parsed = raw ? parsePhone(raw, countryCode) : { error: "empty phone" };
+    if (parsed.error) {
+      invalid.push({ row: rowNo, value: raw, reason: parsed.error });
+      continue;
+    }
+    const target = parsed.target;
+    if (firstRowOf.has(target)) {
+      duplicates.push({ row: rowNo, target, firstRow: firstRowOf.get(target) });
+      continue;
+    }
+    firstRowOf.set(target, rowNo);
+
+    const fields = {};
+    for (const fc of fieldCols) fields[fc.key] = String(cells[fc.i] ?? "").trim();
+
+    rows.push({
+      row: rowNo,
+      target,
+      name: nameIdx !== -1 ? String(cells[nameIdx] ?? "").trim() : "",
+      message: msgIdx !== -1 ? String(cells[msgIdx] ?? "").trim() : "",
+      fields,
+    });
+  }
+
+  return {
+    rows,
+    report: { totalRows: Math.max(0, table.length - 1), valid: rows.length, invalid, duplicates },
+  };
+}
+
+// nilai field di targetsText tidak boleh mengandung pemisah , ; = | atau baris baru
+function cleanLineValue(v) {
+  return String(v || "").replace(/\s*[,;=|\r\n]+\s*/g, " ").trim();
+}
+
+function importRowsToTargetsText(rows) {
+  return rows
+    .map((r) => {
+      const left = [r.target];
+      if (r.name) left.push(`name=${cleanLineValue(r.name)}`);
+      for (const [k, v] of Object.entries(r.fields)) left.push(`${k}=${cleanLineValue(v)}`);
+      const msg = String(r.message || "").replace(/\r?\n/g, " ");
+      return left.join(", ") + (msg ? ` | ${msg}` : "");
+    })
+    .join("\n");
+}
+
+module.exports = { parseCsv, fieldKeyFromHeader, mapImportRows, importRowsToTargetsText };
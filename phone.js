@@ -0,0 +1,156 @@
+/**
+ * phone.js — normalisasi nomor WA (E.164 tanpa "+") per kode negara akun
+ * dipakai app.js (targets, daftar kontak, import) + test/phone.test.js
+ */
+
+// nomor -> E.164 tanpa "+" (format WA: 6281234567890)
+// trunk = awalan nomor nasional yang dibuang (0812 -> 62812), nsn = panjang nomor setelah kode negara
+const COUNTRY_PHONE_RULES = {
+  1: { name: "US/CA", trunk: "1", nsn: [10, 10] },
+  7: { name: "RU/KZ", trunk: "8", nsn: [10, 10] },
+  20: { name: "EG", trunk: "0", nsn: [9, 10] },
+  27: { name: "ZA", trunk: "0", nsn: [9, 9] },
+  31: { name: "NL", trunk: "0", nsn: [9, 9] },
+  33: { name: "FR", trunk: "0", nsn: [9, 9] },
+  34: { name: "ES", trunk: "", nsn: [9, 9] },
+  39: { name: "IT", trunk: "", nsn: [6, 11] }, // 0 kode area ikut dikirim
+  44: { name: "UK", trunk: "0", nsn: [9, 10] },
+  49: { name: "DE", trunk: "0", nsn: [6, 13] },
+  52: { name: "MX", trunk: "", nsn: [10, 10] },
+  55: { name: "BR", trunk: "0", nsn: [10, 11] },
+  60: { name: "MY", trunk: "0", nsn: [8, 10] },
+  61: { name: "AU", trunk: "0", nsn: [9, 9] },
+  62: { name: "ID", trunk: "0", nsn: [8, 12] },
+  63: { name: "PH", trunk: "0", nsn: [8, 10] },
+  65: { name: "SG", trunk: "", nsn: [8, 8] },
+  66: { name: "TH", trunk: "0", nsn: [8, 9] },
+  81: { name: "JP", trunk: "0", nsn: [9, 10] },
+  82: { name: "KR", trunk: "0", nsn: [8, 10] },
+  84: { name: "VN", trunk: "0", nsn: [9, 10] },
+  86: { name: "CN", trunk: "0", nsn: [10, 11] },
+  90: { name: "TR", trunk: "0", nsn: [10, 10] },
+  91: { name: "IN", trunk: "0", nsn: [10, 10] },
+  92: { name: "PK", trunk: "0", nsn: [10, 10] },
+  95: { name: "MM", trunk: "0", nsn: [8, 10] },
+  234: { name: "NG", trunk: "0", nsn: [8, 10] },
+  670: { name: "TL", trunk: "", nsn: [7, 8] },
+  673: { name: "BN", trunk: "", nsn: [7, 7] },
+  852: { name: "HK", trunk: "", nsn: [8, 8] },
+  855: { name: "KH", trunk: "0", nsn: [8, 9] },
+  856: { name: "LA", trunk: "0", nsn: [8, 10] },
+  880: { name: "BD", trunk: "0", nsn: [10, 10] },
+  886: { name: "TW", trunk: "0", nsn: [8, 9] },
+  966: { name: "SA", trunk: "0", nsn: [8, 9] },
+  971: { name: "AE", trunk: "0", nsn: [8, 9] },
+};
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || "62").replace(/\D/g, "") || "62";
+
+function isValidCountryCode(cc) {
+  return /^[1-9]\d{0,2}$/.test(String(cc || ""));
+}
+
+// kode negara di luar tabel: tanpa trunk, panjang total E.164 saja (8-15 digit)
+function countryRule(cc) {
+  return COUNTRY_PHONE_RULES[cc] || { name: `+${cc}`, trunk: "", nsn: [Math.max(1, 8 - cc.length), 15 - cc.length] };
+}
+
+function nsnFits(cc, nsn) {
+  const [min, max] = countryRule(cc).nsn;
+  return nsn.length >= min && nsn.length <= max;
+}
+
+function lengthError(cc, nsn) {
+  const { name, nsn: [min, max] } = countryRule(cc);
+  const want = min === max ? `${min}` : `${min}-${max}`;
+  return `${nsn.length < min ? "too short" : "too long"} for +${cc} (${name}): ${nsn.length} digits after country code, expected ${want}`;
+}
+
+// "+62 (0)812..." -> trunk nasional ikut tertulis setelah kode negara (nomor trunk "0" tidak pernah diawali 0)
+function dropTrunkAfterCc(cc, nsn) {
+  return countryRule(cc).trunk === "0" && nsn.startsWith("0") ? nsn.slice(1) : nsn;
+}
+
+// kode negara terpanjang yang ada di tabel (3, 2, lalu 1 digit)
+function splitCountryCode(digits) {
+  for (const n of [3, 2, 1]) {
+    const cc = digits.slice(0, n);
+    if (COUNTRY_PHONE_RULES[cc]) return { cc, nsn: digits.slice(n) };
+  }
+  return null;
+}
+
+// return { target } (E.164 tanpa "+", atau id grup) atau { error }
+// "+62 812-3456-789", "0062812...", "(0812) 3456-789", "62812...", "812..." (tanpa trunk) -> 628123456789
+// urutan tanpa "+": trunk nasional, kode negara akun, nasional tanpa trunk, baru kode negara lain
+function parsePhone(input, countryCode = DEFAULT_COUNTRY_CODE) {
+  let p = String(input ?? "").trim();
+  if (!p) return { error: "empty number" };
+  if (p.endsWith("@g.us")) return { target: p };
+  if (p.endsWith("@c.us")) p = "+" + p.slice(0, -5);
+  if (/[^\d\s+().\-/]/.test(p)) return { error: "invalid characters in number" };
+  if (p.lastIndexOf("+") > 0) return { error: "'+' only allowed at the start" };
+
+  let digits = p.replace(/\D/g, "");
+  if (!digits) return { error: "no digits in number" };
+
+  const cc = isValidCountryCode(countryCode) ? String(countryCode) : DEFAULT_COUNTRY_CODE;
+  const rule = countryRule(cc);
+
+  // format internasional: +<cc> atau 00<cc>
+  if (p.startsWith("+") || digits.startsWith("00")) {
+    if (!p.startsWith("+")) digits = digits.slice(2);
+    const split = splitCountryCode(digits);
+    if (!split) {
+      if (digits.length < 8 || digits.length > 15) return { error: `invalid length: ${digits.length} digits, E.164 allows 8-15` };
+      return { target: digits };
+    }
+    const icc = split.cc;
+    const nsn = dropTrunkAfterCc(icc, split.nsn);
+    if (!nsnFits(icc, nsn)) return { error: lengthError(icc, nsn) };
+    return { target: icc + nsn };
+  }
+
+  // nomor nasional dengan trunk: 0812... (ID), 012... (MY), 8 9xx... (RU)
+  if (rule.trunk && digits.startsWith(rule.trunk)) {
+    const nsn = digits.slice(rule.trunk.length);
+    if (nsnFits(cc, nsn)) return { target: cc + nsn };
+    if (!digits.startsWith(cc)) return { error: lengthError(cc, nsn) }; // trunk = kode negara (US "1")
+  }
+
+  // sudah diawali kode negara akun (62812... / 62 0812...)
+  if (digits.startsWith(cc)) {
+    const nsn = dropTrunkAfterCc(cc, digits.slice(cc.length));
+    if (nsnFits(cc, nsn)) return { target: cc + nsn };
+  }
+
+  // nomor nasional tanpa trunk (812..., nol depan hilang di spreadsheet) -> menang atas kode negara lain:
+  // 81234567890 di akun +62 = 0812... bukan Jepang (+81). Nomor luar negeri tulis dengan "+" / "00"
+  if (nsnFits(cc, digits)) return { target: cc + digits };
+
+  // kode negara lain tanpa "+" yang tidak mungkin nomor nasional (panjangnya tidak cocok)
+  const split = splitCountryCode(digits);
+  if (split && split.cc !== cc && nsnFits(split.cc, split.nsn)) return { target: digits };
+
+  return { error: lengthError(cc, digits) };
+}
+
+// versi longgar (filter / pencocokan): nomor tidak valid / sebagian tetap dikembalikan,
+// hanya digit + trunk diganti kode negara ("0812" -> "62812")
+function normalizeTarget(input, countryCode = DEFAULT_COUNTRY_CODE) {
+  const r = parsePhone(input, countryCode);
+  if (r.target) return r.target;
+  const p = String(input || "").trim();
+  const digits = p.replace(/\D/g, "");
+  const cc = isValidCountryCode(countryCode) ? String(countryCode) : DEFAULT_COUNTRY_CODE;
+  const { trunk } = countryRule(cc);
+  if (!p.startsWith("+") && trunk && digits.startsWith(trunk) && !digits.startsWith("00")) return cc + digits.slice(trunk.length);
+  return digits;
+}
+
+module.exports = {
+  COUNTRY_PHONE_RULES,
+  DEFAULT_COUNTRY_CODE,
+  isValidCountryCode,
+  parsePhone,
+  normalizeTarget,
+};
@@ -0,0 +1,47 @@
+/**
+ * safe-regex.js — screening regex dari operator (ReDoS) sebelum dijalankan di event loop
+ * dipakai app.js (auto reply regex, stopOnReplyKeyword) + test/safe-regex.test.js
+ */
+
+// regex dari operator dijalankan di tiap pesan masuk (event loop): batasi pola + panjang teks yang dicek
+const AUTOREPLY_REGEX_MAX = 200;
+const AUTOREPLY_REGEX_INPUT_MAX = 1000;
+
+// alasan regex ditolak (rawan ReDoS) atau null. Tolak backreference, quantifier bersarang (grup yang
+// isinya sudah ber-quantifier lalu diulang lagi, mis. (a+)+  (\w*x?)*) dan alternasi yang diulang (a|aa)*
+function unsafeRegexReason(pattern) {
+  if (pattern.length > AUTOREPLY_REGEX_MAX) return `regex too long (max ${AUTOREPLY_REGEX_MAX})`;
+  const groups = [{ quant: false, alt: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const top = groups[groups.length - 1];
+    if (c === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || "")) return "regex backreference not allowed";
+      i++;
+    } else if (c === "[") {
+      // lewati character class
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) if (pattern[i] === "\\") i++;
+    } else if (c === "(") {
+      groups.push({ quant: false, alt: false });
+      if (pattern[i + 1] === "?") i += pattern[i + 2] === "<" && /[=!]/.test(pattern[i + 3] || "") ? 3 : 2;
+    } else if (c === ")") {
+      if (groups.length === 1) continue;
+      const g = groups.pop();
+      const rest = pattern.slice(i + 1);
+      const brace = rest.match(/^\{(\d+)(,(\d*))?\}/);
+      const max = brace ? (brace[2] ? (brace[3] === "" ? Infinity : Number(brace[3])) : Number(brace[1])) : 0;
+      const repeated = /^[*+]/.test(rest) || max > 1;
+      if (repeated && g.quant) return "regex nested quantifier not allowed, e.g. (a+)+";
+      if (repeated && g.alt) return "regex repeated alternation not allowed, e.g. (a|aa)*";
+      groups[groups.length - 1].quant ||= g.quant || /^[*+?]/.test(rest) || !!brace;
+      groups[groups.length - 1].alt ||= g.alt;
+    } else if (c === "|") {
+      top.alt = true;
+    } else if (c === "*" || c === "+" || c === "?" || (c === "{" && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)))) {
+      top.quant = true;
+    }
+  }
+  return null;
+}
+
+module.exports = { AUTOREPLY_REGEX_MAX, AUTOREPLY_REGEX_INPUT_MAX, unsafeRegexReason };
@@ -3,7 +3,7 @@ set -Eeuo pipefail
 
 # =========================
 # WA Scheduler - start.sh
-# Auto download app.js + public/index.html
+# Auto download app.js + modul lokal (APP_MODULES) + public/index.html
 # =========================
 
 APP_NAME="wa-scheduler"
@@ -13,6 +13,9 @@ NODE_MAJOR="${NODE_MAJOR:-20}"
 TZ_REGION="Asia/Jakarta"
 
 APP_JS_URL="https://raw.githubusercontent.com/casper9/wa-jadwal/main/app.js"
+RAW_BASE_URL="https://raw.githubusercontent.com/casper9/wa-jadwal/main"
+# modul lokal yang di-require app.js
+APP_MODULES=(phone.js tz.js template.js importer.js repeat.js safe-regex.js blackout.js)
 INDEX_HTML_URL="https://raw.githubusercontent.com/casper9/wa-jadwal/main/public/index.html"
 
 trap 'echo ""; echo "❌ ERROR di baris $LINENO"; echo "Command: $BASH_COMMAND"; exit 1' ERR
@@ -22,6 +25,9 @@ echo "==> [1/10] Prepare project files"
 # ambil app.js (overwrite biar selalu update)
 echo "Download app.js dari GitHub..."
 curl -fsSL "$APP_JS_URL" -o app.js
+for mod in "${APP_MODULES[@]}"; do
+  curl -fsSL "$RAW_BASE_URL/$mod" -o "$mod"
+done
 
 # buat folder public jika belum ada
 mkdir -p public
@@ -30,7 +36,7 @@ mkdir -p public
 echo "Download public/index.html dari GitHub..."
 curl -fsSL "$INDEX_HTML_URL" -o public/index.html
 
-echo "✅ app.js & public/index.html siap"
+echo "✅ app.js, ${APP_MODULES[*]} & public/index.html siap"
 
 echo "==> [2/10] Set timezone ${TZ_REGION}"
 sudo apt-get update -y
@@ -59,6 +65,18 @@ echo "==> [6/10] Install PM2"
 sudo npm install -g pm2
 
 echo "==> [7/10] Install npm dependencies"
+# dependency yang dibutuhkan app.js:
+#   express, node-schedule, qrcode, whatsapp-web.js, puppeteer  (dari awal)
+#   better-sqlite3  STORAGE=sqlite (data/wa.db)
+#   cron-parser     jadwal cron + kalender upcoming
+#   xlsx            import kontak CSV/XLSX; SheetJS tidak lagi rilis di npm (versi npm 0.18.5 kena CVE),
+#                   jadi pakai tarball resmi dari cdn.sheetjs.com
+DEPS=(
+  "better-sqlite3@^11.0.0"
+  "cron-parser@^4.9.0"
+  "xlsx@https://cdn.sheetjs.com/xlsx-0.20.3/xlsx-0.20.3.tgz"
+)
+
 if [[ ! -f package.json ]]; then
   cat > package.json <<'JSON'
 {
@@ -68,14 +86,30 @@ if [[ ! -f package.json ]]; then
   "type": "commonjs",
   "scripts": { "start": "node app.js" },
   "dependencies": {
+    "better-sqlite3": "^11.0.0",
+    "cron-parser": "^4.9.0",
     "express": "^4.19.2",
     "node-schedule": "^2.1.1",
     "qrcode": "^1.5.3",
     "whatsapp-web.js": "^1.26.0",
-    "puppeteer": "^23.0.0"
+    "puppeteer": "^23.0.0",
+    "xlsx": "https://cdn.sheetjs.com/xlsx-0.20.3/xlsx-0.20.3.tgz"
   }
 }
 JSON
+else
+  # package.json lama tidak ditimpa: tambahkan hanya dependency baru yang belum ada
+  for dep in "${DEPS[@]}"; do
+    name="${dep%%@*}"
+    if ! grep -q "\"${name}\"" package.json; then
+      echo "Tambah dependency: ${dep}"
+      PUPPETEER_SKIP_DOWNLOAD=1 npm install --save "$dep"
+    fi
+  done
+  if grep -q '"xlsx": *"^0\.18' package.json; then
+    echo "⚠️  xlsx 0.18.x (npm) punya CVE -> ganti ke tarball SheetJS CDN"
+    PUPPETEER_SKIP_DOWNLOAD=1 npm install --save "xlsx@https://cdn.sheetjs.com/xlsx-0.20.3/xlsx-0.20.3.tgz"
+  fi
 fi
 
 export PUPPETEER_SKIP_DOWNLOAD=1
@@ -106,4 +140,5 @@ echo "✅ SELESAI"
 echo "App  : $APP_NAME"
 echo "Port : $APP_PORT"
 echo "URL  : http://IP-VPS:$APP_PORT"
-echo "Logs : pm2 logs $APP_NAME"
\ No newline at end of file
+echo "Logs : pm2 logs $APP_NAME"
+echo "Login: set ADMIN_USER / ADMIN_PASSWORD sebelum start, atau buka URL + isi setup token dari: pm2 logs $APP_NAME"
@@ -0,0 +1,41 @@
+/**
+ * template.js — variabel pesan ({name}, {date}, {time}, {day}, {counter}, field custom) + spintax {a|b}
+ * dipakai app.js (kirim, preview) + test/template.test.js
+ */
+
+const { DEFAULT_TZ, zonedParts, pad2 } = require("./tz");
+
+const DAY_NAMES_ID = ["Minggu", "Senin", "Selasa", "Rabu", "Kamis", "Jumat", "Sabtu"];
+
+// ctx: { fields, at (Date), counter, tz }
+function renderMessage(template, ctx = {}) {
+  const at = zonedParts(ctx.at instanceof Date ? ctx.at : new Date(), ctx.tz || DEFAULT_TZ);
+  const fields = ctx.fields || {};
+  const builtins = {
+    name: fields.name || "",
+    date: `${pad2(at.day)}/${pad2(at.month)}/${at.year}`,
+    time: `${pad2(at.hour)}:${pad2(at.minute)}`,
+    day: DAY_NAMES_ID[at.dow],
+    counter: String(ctx.counter || 1),
+  };
+
+  // 1) variabel: field custom menang atas builtin, placeholder tak dikenal dibiarkan
+  let out = String(template || "").replace(/\{(\w+)\}/g, (whole, key) => {
+    const k = key.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(fields, k)) return String(fields[k]);
+    if (Object.prototype.hasOwnProperty.call(builtins, k)) return builtins[k];
+    return whole;
+  });
+
+  // 2) spintax {a|b|c}, boleh nested -> resolve dari yang paling dalam
+  const spin = /\{([^{}]*\|[^{}]*)\}/;
+  for (let guard = 0; guard < 1000 && spin.test(out); guard++) {
+    out = out.replace(spin, (_, body) => {
+      const opts = body.split("|");
+      return opts[Math.floor(Math.random() * opts.length)];
+    });
+  }
+  return out;
+}
+
+module.exports = { renderMessage };
@@ -0,0 +1,64 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { blackoutOn, nextAllowedDay, blackoutDecision } = require("../blackout");
+
+const tz = "Asia/Jakarta";
+// libur Rabu 7 - Kamis 8 Jan 2026, run jam 09:00 WIB (02:00Z)
+const list = [
+  { start: "2026-01-07", end: "2026-01-08", label: "Libur" },
+  { start: "2026-01-20", label: "Cuti" },
+];
+const now = new Date("2026-01-07T02:00:00Z");
+const decide = (item, at = now) => blackoutDecision(list, { datetimeISO: "2026-01-07T09:00", ...item }, at, tz);
+
+test("blackout day is matched in the schedule time zone", () => {
+  const earlyWib = new Date("2026-01-06T18:00:00Z"); // 7 Jan 01:00 WIB, masih 6 Jan di UTC
+  assert.strictEqual(blackoutOn(list, earlyWib, tz).label, "Libur");
+  assert.strictEqual(blackoutOn(list, earlyWib, "UTC"), null);
+  assert.strictEqual(blackoutOn(list, new Date("2026-01-20T05:00:00Z"), tz).label, "Cuti"); // tanpa end = satu hari
+  assert.strictEqual(blackoutOn([], now, tz), null);
+});
+
+test("next allowed day keeps the wall clock, null when every day is blocked", () => {
+  assert.strictEqual(nextAllowedDay(list, now, tz).toISOString(), "2026-01-09T02:00:00.000Z");
+  assert.strictEqual(nextAllowedDay([{ start: "2026-01-01", end: "2027-12-31" }], now, tz), null);
+});
+
+test("outside blackout the run is sent, policy=send sends anyway", () => {
+  assert.deepStrictEqual(decide({ repeatType: "daily" }, new Date("2026-01-09T02:00:00Z")), { action: "send" });
+  const d = decide({ repeatType: "daily", blackoutPolicy: "send" });
+  assert.strictEqual(d.action, "send");
+  assert.strictEqual(d.label, "2026-01-07 Libur");
+});
+
+test("default policy skips", () => {
+  assert.strictEqual(decide({ repeatType: "once" }).action, "skip");
+  assert.strictEqual(decide({ repeatType: "weekly", blackoutPolicy: "skip" }).action, "skip");
+});
+
+test("shift moves the run to the first day after the blackout", () => {
+  const once = decide({ repeatType: "once", blackoutPolicy: "shift" });
+  assert.strictEqual(once.action, "shift");
+  assert.strictEqual(once.to.toISOString(), "2026-01-09T02:00:00.000Z");
+
+  // weekly: run reguler berikutnya 14 Jan, setelah hari shift -> tetap shift
+  assert.strictEqual(decide({ repeatType: "weekly", blackoutPolicy: "shift" }).action, "shift");
+});
+
+test("shift merges into a regular run that already lands by the shifted day", () => {
+  const d = decide({ repeatType: "daily", blackoutPolicy: "shift", datetimeISO: "2026-01-01T09:00" });
+  assert.strictEqual(d.action, "merged");
+  assert.strictEqual(d.next.toISOString(), "2026-01-08T02:00:00.000Z");
+});
+
+test("shift does not merge into runs that will never happen", () => {
+  const base = { repeatType: "daily", blackoutPolicy: "shift", datetimeISO: "2026-01-01T09:00" };
+  assert.strictEqual(decide({ ...base, remainingCount: 0 }).action, "shift");
+  assert.strictEqual(decide({ ...base, repeatUntilISO: "2026-01-07T12:00" }).action, "shift");
+});
+
+test("shift with no free day left falls back to skip", () => {
+  const d = blackoutDecision([{ start: "2026-01-01", end: "2027-12-31" }], { repeatType: "once", blackoutPolicy: "shift" }, now, tz);
+  assert.strictEqual(d.action, "skip");
+});
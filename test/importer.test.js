@@ -0,0 +1,70 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCsv, fieldKeyFromHeader, mapImportRows, importRowsToTargetsText } = require("../importer");
+
+test("csv: quotes, escaped quotes, CRLF and BOM", () => {
+  const text = '\uFEFFphone,name,note\r\n0812,"Budi, S.Kom","kata ""halo"""\r\n0813,Sari,"baris\ndua"\r\n';
+  assert.deepStrictEqual(parseCsv(text), [
+    ["phone", "name", "note"],
+    ["0812", "Budi, S.Kom", 'kata "halo"'],
+    ["0813", "Sari", "baris\ndua"],
+  ]);
+});
+
+test("csv: semicolon delimiter from local Excel export, blank rows dropped", () => {
+  assert.deepStrictEqual(parseCsv("phone;name\n0812;Budi\n\n ; \n0813;Sari"), [
+    ["phone", "name"],
+    ["0812", "Budi"],
+    ["0813", "Sari"],
+  ]);
+  assert.deepStrictEqual(parseCsv(""), []);
+});
+
+test("field keys from headers", () => {
+  assert.strictEqual(fieldKeyFromHeader(" Kota Asal "), "kota_asal");
+  assert.strictEqual(fieldKeyFromHeader("No. HP (WA)"), "no_hp_wa");
+});
+
+test("mapping: valid, invalid and duplicate rows with spreadsheet row numbers", () => {
+  const table = [
+    ["HP", "Nama", "Pesan", "Kota Asal"],
+    ["0812-3456-789", " Budi ", "Halo", "Bandung"],
+    ["abc", "X", "", ""],
+    ["", "Kosong", "", ""],
+    ["+62 812 3456 789", "Budi lagi", "", ""],
+    ["08139876543", "Sari", "", "Solo"],
+  ];
+  const { rows, report } = mapImportRows(table, { phone: "HP", name: "Nama", message: "Pesan", fields: ["Kota Asal"] }, "62");
+
+  assert.deepStrictEqual(rows, [
+    { row: 2, target: "628123456789", name: "Budi", message: "Halo", fields: { kota_asal: "Bandung" } },
+    { row: 6, target: "628139876543", name: "Sari", message: "", fields: { kota_asal: "Solo" } },
+  ]);
+  assert.strictEqual(report.totalRows, 5);
+  assert.strictEqual(report.valid, 2);
+  assert.deepStrictEqual(
+    report.invalid.map((r) => [r.row, r.value]),
+    [
+      [3, "abc"],
+      [4, ""],
+    ]
+  );
+  assert.strictEqual(report.invalid[1].reason, "empty phone");
+  assert.deepStrictEqual(report.duplicates, [{ row: 5, target: "628123456789", firstRow: 2 }]);
+});
+
+test("mapping: unknown columns are rejected", () => {
+  const table = [["HP", "Nama"], ["0812345678", "Budi"]];
+  assert.throws(() => mapImportRows(table, { phone: "Telepon" }, "62"), /phone column not found: Telepon/);
+  assert.throws(() => mapImportRows(table, { phone: "HP", fields: ["Kota"] }, "62"), /field column not found: Kota/);
+  assert.strictEqual(mapImportRows(table, { phone: "HP", name: "Tidak ada" }, "62").rows[0].name, "");
+});
+
+test("targetsText: separators inside values are flattened", () => {
+  const text = importRowsToTargetsText([
+    { target: "628123456789", name: "Budi, S.Kom", message: "Halo\nkak", fields: { kota: "a=b|c" } },
+    { target: "628139876543", name: "", message: "", fields: {} },
+  ]);
+  assert.strictEqual(text, "628123456789, name=Budi S.Kom, kota=a b c | Halo kak\n628139876543");
+});
@@ -0,0 +1,76 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { parsePhone, normalizeTarget } = require("../phone");
+
+const ok = (input, cc, target) => assert.deepStrictEqual(parsePhone(input, cc), { target }, `${input} (+${cc})`);
+const bad = (input, cc, re) => {
+  const r = parsePhone(input, cc);
+  assert.ok(r.error, `${input} (+${cc}) should be rejected, got ${JSON.stringify(r)}`);
+  assert.match(r.error, re);
+};
+
+test("national number with trunk prefix", () => {
+  ok("08123456789", "62", "628123456789");
+  ok("(0812) 3456-789", "62", "628123456789");
+  ok("0812.3456.789", "62", "628123456789");
+  ok("012-345 6789", "60", "60123456789");
+  ok("8 912 345-67-89", "7", "79123456789");
+  ok("1 (212) 555-1234", "1", "12125551234");
+});
+
+test("international prefix + and 00", () => {
+  ok("+62 812-3456-789", "62", "628123456789");
+  ok("0062812345678", "62", "62812345678");
+  ok("+60 12-345 6789", "62", "60123456789");
+  ok("+44 (0)20 7946 0958", "62", "442079460958");
+  ok("+62 0812 3456 789", "62", "628123456789");
+  ok("628123456789@c.us", "62", "628123456789");
+  ok("+999 1234567", "62", "9991234567"); // kode di luar tabel: panjang E.164 saja
+});
+
+test("already starts with account country code", () => {
+  ok("628123456789", "62", "628123456789");
+  ok("62 0812 3456 789", "62", "628123456789");
+  ok("6591234567", "65", "6591234567");
+});
+
+test("national number without trunk prefers the account country", () => {
+  ok("8123456789", "62", "628123456789");
+  // 0812 / 0852 / 0821 yang nol depannya hilang (spreadsheet), bukan Jepang / Hong Kong / Korea
+  ok("81234567890", "62", "6281234567890");
+  ok("85212345678", "62", "6285212345678");
+  ok("82112345678", "62", "6282112345678");
+  ok("91234567", "65", "6591234567");
+  ok("2125551234", "1", "12125551234");
+});
+
+test("foreign number without + that does not fit the account country", () => {
+  ok("60123456789", "65", "60123456789"); // SG nsn = 8 digit -> 11 digit pasti bukan nasional
+});
+
+test("groups pass through", () => {
+  ok("120363012345@g.us", "62", "120363012345@g.us");
+});
+
+test("invalid lengths and characters are rejected with clear errors", () => {
+  bad("0812", "62", /too short for \+62 \(ID\): 3 digits after country code, expected 8-12/);
+  bad("081234567890123", "62", /too long for \+62/);
+  bad("+60 12", "62", /too short for \+60 \(MY\)/);
+  bad("+999 12", "62", /E\.164 allows 8-15/);
+  bad("abc", "62", /invalid characters/);
+  bad("0812+3456789", "62", /only allowed at the start/);
+  bad("", "62", /empty/);
+  bad("()", "62", /no digits/);
+});
+
+test("invalid account country code falls back to the default", () => {
+  ok("08123456789", "abc", "628123456789");
+});
+
+test("normalizeTarget keeps partial numbers for matching", () => {
+  assert.strictEqual(normalizeTarget("0812", "62"), "62812");
+  assert.strictEqual(normalizeTarget("3456", "62"), "3456");
+  assert.strictEqual(normalizeTarget("+62 812", "62"), "62812");
+  assert.strictEqual(normalizeTarget("08123456789", "62"), "628123456789");
+});
@@ -0,0 +1,86 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  validateCronExpression,
+  normalizeWeekdays,
+  buildScheduleSpec,
+  intervalMsFromRepeat,
+  intervalMonthsCron,
+  computeNextRunFromStart,
+  nextIntervalRun,
+} = require("../repeat");
+
+const tz = "Asia/Jakarta";
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+test("cron expression: 5 or 6 fields, parsed by cron-parser", () => {
+  assert.strictEqual(validateCronExpression("*/5 9-17 * * 1-5"), null);
+  assert.strictEqual(validateCronExpression("0 0 8 1 * *"), null);
+  assert.match(validateCronExpression(""), /required/);
+  assert.match(validateCronExpression("* * *"), /5 or 6 fields/);
+  assert.match(validateCronExpression("0 0 0 0 * * *"), /5 or 6 fields/);
+  assert.match(validateCronExpression("61 * * * *"), /^cronExpression invalid: /);
+});
+
+test("weekdays: numbers 0-6, deduped and sorted", () => {
+  assert.deepStrictEqual(normalizeWeekdays([5, "1", 1, 3]), { value: [1, 3, 5] });
+  assert.deepStrictEqual(normalizeWeekdays("6, 0"), { value: [0, 6] });
+  assert.deepStrictEqual(normalizeWeekdays(""), { value: undefined });
+  assert.deepStrictEqual(normalizeWeekdays([]), { value: undefined });
+  assert.ok(normalizeWeekdays([7]).error);
+  assert.ok(normalizeWeekdays("senin").error);
+});
+
+test("schedule spec: cron rules use the wall clock of the schedule time zone", () => {
+  // Rabu 7 Jan 2026 12:30:15 WIB
+  const at = "2026-01-07T12:30:15";
+  const rule = (rt, extra = {}) => buildScheduleSpec(at, rt, 1, { tz, ...extra }).value.rule;
+
+  assert.strictEqual(rule("daily"), "15 30 12 * * *");
+  assert.strictEqual(rule("weekly"), "15 30 12 * * 3");
+  assert.strictEqual(rule("weekly", { weekdays: [1, 3] }), "15 30 12 * * 1,3");
+  assert.strictEqual(rule("monthly"), "15 30 12 7 * *");
+  assert.strictEqual(rule("cron", { cronExpression: " 0 9 * * 1 " }), "0 9 * * 1");
+  assert.strictEqual(buildScheduleSpec(at, "daily", 1, { tz }).value.tz, tz);
+});
+
+test("schedule spec: once is a date, interval_* keeps N (min 1, floored)", () => {
+  assert.deepStrictEqual(buildScheduleSpec("2026-01-07T12:30", "once", 1, { tz }), {
+    kind: "date",
+    value: new Date("2026-01-07T05:30:00Z"),
+  });
+  assert.deepStrictEqual(buildScheduleSpec("2026-01-07T12:30", "interval_minutes", "2.7", { tz }), { kind: "interval", value: 2 });
+  assert.deepStrictEqual(buildScheduleSpec("2026-01-07T12:30", "interval_hours", 0, { tz }), { kind: "interval", value: 1 });
+});
+
+test("interval length in ms, months go through cron", () => {
+  assert.strictEqual(intervalMsFromRepeat("interval_seconds", 30), 30_000);
+  assert.strictEqual(intervalMsFromRepeat("interval_minutes", 0), 60_000);
+  assert.strictEqual(intervalMsFromRepeat("interval_hours", 2), 2 * HOUR);
+  assert.strictEqual(intervalMsFromRepeat("interval_days", 3), 3 * DAY);
+  assert.strictEqual(intervalMsFromRepeat("interval_months", 2), null);
+  assert.strictEqual(intervalMonthsCron("2026-01-31T08:00", "3", tz), "0 0 8 31 */3 *");
+});
+
+test("next interval run is aligned to the start, missed runs are not replayed", () => {
+  const start = "2026-01-07T12:00"; // 05:00Z
+  const startMs = Date.parse("2026-01-07T05:00:00Z");
+  assert.strictEqual(computeNextRunFromStart(start, HOUR, startMs - 1, tz).getTime(), startMs);
+  assert.strictEqual(computeNextRunFromStart(start, HOUR, startMs, tz).getTime(), startMs + HOUR);
+  assert.strictEqual(computeNextRunFromStart(start, HOUR, startMs + 5.5 * HOUR, tz).getTime(), startMs + 6 * HOUR);
+});
+
+test("interval_days keeps the wall clock across DST", () => {
+  // Berlin pindah ke CEST 29 Mar 2026: 09:00 CET = 08:00Z, 09:00 CEST = 07:00Z
+  const item = { repeatType: "interval_days", intervalMinutes: 2, datetimeISO: "2026-03-27T09:00" };
+  const next = nextIntervalRun(item, 2 * DAY, Date.parse("2026-03-30T00:00:00Z"), "Europe/Berlin");
+  assert.strictEqual(next.toISOString(), "2026-03-31T07:00:00.000Z");
+
+  const hourly = { repeatType: "interval_hours", intervalMinutes: 24, datetimeISO: "2026-03-27T09:00" };
+  assert.strictEqual(
+    nextIntervalRun(hourly, DAY, Date.parse("2026-03-30T00:00:00Z"), "Europe/Berlin").toISOString(),
+    "2026-03-30T08:00:00.000Z"
+  );
+});
@@ -0,0 +1,39 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { AUTOREPLY_REGEX_MAX, unsafeRegexReason } = require("../safe-regex");
+
+const safe = (p) => assert.strictEqual(unsafeRegexReason(p), null, p);
+const unsafe = (p, re) => assert.match(unsafeRegexReason(p) || "", re, p);
+
+test("ordinary patterns pass", () => {
+  safe("promo|diskon");
+  safe("^(halo|hai)\\s+kak$");
+  safe("a{2,5}b+");
+  safe("(ab){10}");
+  safe("(a+)?");
+  safe("(a|b){0,1}");
+  safe("(?<=a+)b");
+  safe("[(]+)+"); // kurung di dalam character class bukan grup
+});
+
+test("nested quantifiers are rejected", () => {
+  unsafe("(a+)+", /nested quantifier/);
+  unsafe("(\\w*x?)*", /nested quantifier/);
+  unsafe("(?:a+)+", /nested quantifier/);
+  unsafe("((a+))+", /nested quantifier/);
+  unsafe("(a+){2}", /nested quantifier/);
+});
+
+test("repeated alternation is rejected", () => {
+  unsafe("(a|aa)*", /repeated alternation/);
+  unsafe("(a|b){2,}", /repeated alternation/);
+  unsafe("(x(a|aa))+", /repeated alternation/);
+});
+
+test("backreferences and over-long patterns are rejected", () => {
+  unsafe("(.*)\\1", /backreference/);
+  unsafe("(?<x>a)\\k<x>", /backreference/);
+  safe("x".repeat(AUTOREPLY_REGEX_MAX));
+  unsafe("x".repeat(AUTOREPLY_REGEX_MAX + 1), /too long/);
+});
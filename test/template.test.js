@@ -0,0 +1,46 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { renderMessage } = require("../template");
+
+// Rabu 7 Jan 2026 12:30 WIB
+const at = new Date("2026-01-07T05:30:00Z");
+const tz = "Asia/Jakarta";
+
+test("builtin variables use the schedule time zone", () => {
+  assert.strictEqual(
+    renderMessage("{day}, {date} {time} #{counter}", { at, tz, counter: 3 }),
+    "Rabu, 07/01/2026 12:30 #3"
+  );
+  assert.strictEqual(renderMessage("{time}", { at, tz: "Europe/London" }), "05:30");
+  assert.strictEqual(renderMessage("#{counter}", { at, tz }), "#1");
+});
+
+test("custom fields win over builtins, keys are case-insensitive", () => {
+  const fields = { name: "Budi", date: "besok", kota: "Bandung" };
+  assert.strictEqual(renderMessage("Halo {Name} dari {KOTA}, {date}", { at, tz, fields }), "Halo Budi dari Bandung, besok");
+  assert.strictEqual(renderMessage("Halo {name}", { at, tz }), "Halo ");
+});
+
+test("unknown placeholders are left as is", () => {
+  assert.strictEqual(renderMessage("kode {promo} {}", { at, tz }), "kode {promo} {}");
+});
+
+test("spintax picks one option, nested from the inside out", () => {
+  const seen = new Set();
+  for (let i = 0; i < 200; i++) {
+    const out = renderMessage("{Halo|Hai} {kak|{bapak|ibu}}", { at, tz });
+    assert.match(out, /^(Halo|Hai) (kak|bapak|ibu)$/);
+    seen.add(out);
+  }
+  assert.ok(seen.size > 2, `expected several variants, got ${[...seen].join(", ")}`);
+});
+
+test("variables inside spintax options are rendered", () => {
+  const out = renderMessage("{Halo {name}|Hai {name}}", { at, tz, fields: { name: "Sari" } });
+  assert.ok(out === "Halo Sari" || out === "Hai Sari", out);
+});
+
+test("empty template renders empty string", () => {
+  assert.strictEqual(renderMessage(undefined, { at, tz }), "");
+});
@@ -0,0 +1,107 @@
+/**
+ * tz.js — jam dinding per zona waktu (Intl, tanpa library) + DST
+ * dipakai app.js (jadwal, window, blackout, upcoming), template.js + test/
+ */
+
+// datetimeISO tanpa offset ("2026-01-07T12:30:00") = jam dinding di zona akun / jadwal
+const DEFAULT_TZ = process.env.TZ;
+const WEEKDAY_SHORT = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const tzFormatters = {};
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: String(tz) });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// jam dinding di zona tz: { year, month (1-12), day, hour, minute, second, dow (0 = Minggu) }
+function zonedParts(date, tz = DEFAULT_TZ) {
+  let f = tzFormatters[tz];
+  if (!f) {
+    f = tzFormatters[tz] = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+  }
+  const p = {};
+  for (const x of f.formatToParts(date)) p[x.type] = x.value;
+  return {
+    year: Number(p.year),
+    month: Number(p.month),
+    day: Number(p.day),
+    hour: Number(p.hour) % 24,
+    minute: Number(p.minute),
+    second: Number(p.second),
+    dow: WEEKDAY_SHORT.indexOf(p.weekday),
+  };
+}
+
+function tzOffsetMs(date, tz) {
+  const p = zonedParts(date, tz);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// jam dinding -> Date. DST: jam yang "hilang" digeser maju
+function wallToDate(year, month, day, hour, minute, second, tz = DEFAULT_TZ) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const t1 = guess - tzOffsetMs(new Date(guess), tz);
+  const t2 = guess - tzOffsetMs(new Date(t1), tz);
+  if (t1 === t2) return new Date(t1);
+
+  const matches = (t) => t + tzOffsetMs(new Date(t), tz) === guess;
+  if (matches(t2)) return new Date(t2);
+  if (matches(t1)) return new Date(t1);
+  return new Date(Math.max(t1, t2));
+}
+
+// string dengan offset / Z -> apa adanya, tanpa offset -> jam dinding di tz
+function parseInZone(s, tz = DEFAULT_TZ) {
+  const str = String(s || "").trim();
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+  if (!m) return new Date(str);
+  return wallToDate(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), tz);
+}
+
+// tambah N hari kalender dengan jam dinding tetap (aman saat DST)
+function addDaysInZone(date, n, tz = DEFAULT_TZ) {
+  const p = zonedParts(date, tz);
+  return wallToDate(p.year, p.month, p.day + n, p.hour, p.minute, p.second, tz);
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// tanggal di zona tz -> "YYYY-MM-DD"
+function dayKey(d, tz = DEFAULT_TZ) {
+  const w = zonedParts(d, tz);
+  return `${w.year}-${pad2(w.month)}-${pad2(w.day)}`;
+}
+
+function isValidDateString(s) {
+  const d = new Date(s);
+  return !isNaN(d.getTime());
+}
+
+module.exports = {
+  DEFAULT_TZ,
+  isValidTimeZone,
+  isValidDateString,
+  zonedParts,
+  wallToDate,
+  parseInZone,
+  addDaysInZone,
+  dayKey,
+  pad2,
+};